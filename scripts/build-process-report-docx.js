@@ -2,6 +2,7 @@
 /* eslint-disable no-console */
 const fs = require("fs");
 const path = require("path");
+const TP = require("../shared-project.js");
 const os = require("os");
 const { execFileSync } = require("child_process");
 
@@ -20,6 +21,10 @@ function parseArgs(argv) {
     hubThreshold: 4,
     maxWeeks: 200,
     title: "Threadscape Process Analysis Report",
+    // macro-area mapping shared by the workspace; default: <cwd>/macro-areas.json
+    macros: null,
+    // bibliography section: apa | chicago
+    citationStyle: "apa",
   };
   const args = [...argv];
   while (args.length) {
@@ -28,71 +33,24 @@ function parseArgs(argv) {
     else if (a === "--hub-threshold") out.hubThreshold = Number(args.shift() || "4");
     else if (a === "--max-weeks") out.maxWeeks = Number(args.shift() || "200");
     else if (a === "--title") out.title = args.shift() || out.title;
+    else if (a === "--macros") out.macros = args.shift() || null;
+    else if (a === "--citation-style") out.citationStyle = args.shift() || "apa";
   }
+  if (!TP.CITATION_STYLES[out.citationStyle]) out.citationStyle = "apa";
   if (!Number.isFinite(out.hubThreshold) || out.hubThreshold < 1) out.hubThreshold = 4;
   if (!Number.isFinite(out.maxWeeks) || out.maxWeeks < 4) out.maxWeeks = 200;
   return out;
 }
 
-function parseDate(dateStr) {
-  if (!dateStr || typeof dateStr !== "string") return null;
-  const d = new Date(`${dateStr}T00:00:00`);
-  if (Number.isNaN(d.getTime())) return null;
-  return d;
-}
-
-function canonicalAreaName(value) {
-  const txt = String(value ?? "").replace(/\s+/g, " ").trim();
-  if (!txt) return "";
-  const low = txt.toLowerCase();
-  if (low === "speculative" || low === "speculative design") return "Speculative Design";
-  if (low === "communication" || low === "communication design") return "Communication Design";
-  if (low === "interaction" || low === "interaction design") return "Interaction Design";
-  return txt;
-}
-
-function normalizeAreaList(areas, legacyMainAreas) {
-  const seen = new Set();
-  const out = [];
-  const push = (raw) => {
-    const mapped = canonicalAreaName(raw);
-    if (!mapped) return;
-    const key = mapped
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, " ")
-      .trim()
-      .replace(/\s+/g, " ");
-    if (!key || seen.has(key)) return;
-    seen.add(key);
-    out.push(mapped);
-  };
-
-  const apply = (val) => {
-    if (!val) return;
-    if (Array.isArray(val)) val.forEach(push);
-    else push(val);
-  };
-  apply(areas);
-  apply(legacyMainAreas);
-  return out;
-}
-
-function macroFromAreas(areas) {
-  const scores = { speculative: 0, communication: 0, interaction: 0 };
-  const list = Array.isArray(areas) ? areas : [];
-  for (const a of list) {
-    const txt = String(a || "").toLowerCase();
-    if (!txt) continue;
-    if (txt.includes("specul")) scores.speculative += 1;
-    if (txt.includes("comunic") || txt.includes("communicat")) scores.communication += 1;
-    if (txt.includes("inter")) scores.interaction += 1;
+// Parsed macro-areas.json, or null when the workspace has none.
+function readWorkspaceMacros(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`${file}: ${String(e && e.message ? e.message : e)}`);
+    process.exit(1);
   }
-  const entries = Object.entries(scores).sort((x, y) => y[1] - x[1]);
-  if (!entries.length || entries[0][1] <= 0) return "unknown";
-  const top = entries[0][1];
-  const tied = entries.filter((e) => e[1] === top).map((e) => e[0]);
-  if (tied.length > 1) return "mixed";
-  return tied[0];
 }
 
 function median(values) {
@@ -213,23 +171,19 @@ function computeScc(nodes, edges, idToIndex) {
 function computeMetricsForProject(projectName, json, opts) {
   const rawNodes = Array.isArray(json.nodes) ? json.nodes : [];
   const rawEdges = Array.isArray(json.edges) ? json.edges : [];
+  const macros = TP.macroMapping(json, opts.workspaceMacros);
 
   const nodes = rawNodes.map((n) => {
     const data = n?.data || {};
-    const legacy = [
-      ...(Array.isArray(data.mainAreas) ? data.mainAreas : []),
-      data.mainArea,
-      data.mainarea,
-    ];
-    const areas = normalizeAreaList(data.areas, legacy);
-    const action = String(data.action || "").toLowerCase().trim();
-    const date = parseDate(data.date || "");
+    const areas = TP.normalizeAreaList(data.areas, TP.legacyMainAreas(data));
+    const action = TP.actionKey(data.action);
+    const date = TP.parseDate(data.date || "");
     return {
       id: String(n?.id || ""),
       action: action === "exploring" ? "exploring" : action === "making" ? "making" : "other",
       date,
       areas,
-      macro: macroFromAreas(areas),
+      macro: TP.macroFromAreas(areas, macros),
     };
   });
 
@@ -274,7 +228,8 @@ function computeMetricsForProject(projectName, json, opts) {
     if (edgePairs.has(rev) && from < to) reciprocalPairs += 1;
   }
 
-  const macroOk = (m) => m === "speculative" || m === "communication" || m === "interaction";
+  const macroIds = new Set(macros.macros.map((m) => m.id));
+  const macroOk = (m) => macroIds.has(m);
   let crossMacroEdges = 0;
   let macroEdgesConsidered = 0;
   for (const e of edges) {
@@ -352,6 +307,8 @@ function computeMetricsForProject(projectName, json, opts) {
 
   return {
     project: projectName,
+    title: TP.projectTitle(json, projectName),
+    meta: TP.normalizeMeta(json.meta),
     nodes: nCount,
     edges: eCount,
     exploring: exploringNodes.length,
@@ -383,9 +340,42 @@ function computeMetricsForProject(projectName, json, opts) {
     minDate: minDate ? minDate.toISOString().slice(0, 10) : "",
     maxDate: maxDate ? maxDate.toISOString().slice(0, 10) : "",
     spanDays,
+    // [macro, label, nodes] for every row of the mapping, empty ones included.
+    macroCounts: TP.macroKeys(macros).map((k) => [
+      k,
+      TP.macroLabel(k, macros),
+      nodes.filter((n) => n.macro === k).length,
+    ]),
+    unmappedAreas: TP.unmappedAreas(rawNodes, macros),
+    bibliography: TP.nodeBibliography(rawNodes, opts.citationStyle),
+    sourcesUncited: rawNodes.filter(
+      (n) => TP.typeKey(n?.data?.type) === "source" && !TP.nodeBibliography([n]).length
+    ).length,
   };
 }
 
+// Nodes per macro area across projects, in mapping order; mixed/unknown last.
+function macroTotals(metrics) {
+  const out = new Map();
+  for (const m of metrics) {
+    for (const [key, label, count] of m.macroCounts || []) {
+      if (!out.has(key)) out.set(key, { key, label, count: 0 });
+      out.get(key).count += count;
+    }
+  }
+  const bucket = (r) => Object.hasOwn(TP.MACRO_LABELS, r.key);
+  return [...out.values()].sort((a, b) => bucket(a) - bucket(b));
+}
+
+// Areas no macro lists, summed across projects: [[area, nodes]].
+function unmappedTotals(metrics) {
+  const out = new Map();
+  for (const m of metrics) {
+    for (const [area, count] of m.unmappedAreas || []) out.set(area, (out.get(area) || 0) + count);
+  }
+  return [...out.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
 function fmt(v, digits = 1) {
   if (v == null) return "-";
   if (typeof v === "number" && Number.isFinite(v)) {
@@ -589,6 +579,67 @@ function buildDocxXml(title, metrics, summary, timeline, opts, hasTimelineSvg) {
   );
   body.push(wSpacer());
 
+  body.push(wPara("Projects", "Heading1"));
+  const rowsP = [["Project", "Folder", "Authors", "Course", "Period", "License"]].concat(
+    metrics.map((m) => [
+      m.title,
+      m.project,
+      m.meta.authors.join(", ") || "-",
+      m.meta.course || "-",
+      m.meta.start || m.meta.end ? `${m.meta.start || "…"} → ${m.meta.end || "…"}` : "-",
+      m.meta.license || "-",
+    ])
+  );
+  body.push(wTable(rowsP, { header: true }));
+  body.push(wSpacer());
+
+  body.push(wPara("Macro areas", "Heading1"));
+  body.push(
+    wPara(
+      `Areas are assigned to macro areas explicitly (workspace ${TP.MACRO_AREAS_FILE} plus each project's macros block). “Multi-area / mixed”: tied areas from different macros; “Unmapped”: no area assigned to a macro.`
+    )
+  );
+  if (summary.legacyMacroProjects.length) {
+    body.push(
+      wPara(
+        `Without a macros block (${summary.legacyMacroProjects.join(", ")}) areas are read with the former spelling rules (“specul”, “communicat”/“comunic”, “inter”) turned into a list; scripts/migrate-projects.js --apply writes it into the project.`
+      )
+    );
+  }
+  body.push(
+    wTable(
+      [["Macro area", "Nodes", "Share"]].concat(
+        summary.macros.map((r) => [r.label, String(r.count), `${fmt((r.count / Math.max(1, summary.totalNodes)) * 100)}%`])
+      ),
+      { header: true }
+    )
+  );
+  if (summary.unmapped.length) {
+    body.push(
+      wPara(
+        `Unmapped areas (${summary.unmapped.length}): ${summary.unmapped
+          .slice(0, 20)
+          .map(([area, count]) => `${area} (${count})`)
+          .join(", ")}${summary.unmapped.length > 20 ? ", …" : ""}`
+      )
+    );
+  }
+  body.push(wSpacer());
+
+  body.push(wPara("Bibliography", "Heading1"));
+  body.push(
+    wPara(
+      `Style: ${TP.CITATION_STYLES[opts.citationStyle]}. Sources with CSL citation data (data.csl, importable from .bib/CSL in the editor) or a filled-in Citation field.`
+    )
+  );
+  for (const m of metrics) {
+    body.push(wPara(m.title, "Heading2"));
+    if (!m.bibliography.length) body.push(wPara("No sources with citation data."));
+    m.bibliography.forEach((b) => body.push(wPara(b.text)));
+    if (m.sourcesUncited) body.push(wPara(`${m.sourcesUncited} Source node(s) without citation data.`));
+  }
+  body.push(wSpacer());
+
   body.push(wPara("Per-project metrics (table A)", "Heading1"));
   const headerA = [
     "Project",
@@ -606,7 +657,7 @@ function buildDocxXml(title, metrics, summary, timeline, opts, hasTimelineSvg) {
   ];
   const rowsA = [headerA].concat(
     metrics.map((m) => [
-      m.project,
+      m.title,
       fmt(m.nodes, 0),
       fmt(m.edges, 0),
       fmt(m.exploring, 0),
@@ -639,7 +690,7 @@ function buildDocxXml(title, metrics, summary, timeline, opts, hasTimelineSvg) {
   ];
   const rowsB = [headerB].concat(
     metrics.map((m) => [
-      m.project,
+      m.title,
       fmt(m.multiAreaShare),
       fmt(m.avgAreas, 2),
       fmt(m.crossMacroShare),
@@ -662,7 +713,7 @@ function buildDocxXml(title, metrics, summary, timeline, opts, hasTimelineSvg) {
       .filter((m) => m[key] != null && Number.isFinite(m[key]))
       .sort((a, b) => b[key] - a[key])
       .slice(0, topK)
-      .map((m, i) => `${i + 1}. ${m.project} (${fmt(m[key])})`);
+      .map((m, i) => `${i + 1}. ${m.title} (${fmt(m[key])})`);
   body.push(wPara("Top interlacing index:", "Heading2"));
   rank("interlacingIndex").forEach((t) => body.push(wPara(t)));
   body.push(wPara("Top cycle participation:", "Heading2"));
@@ -846,6 +897,12 @@ ${imageRelsXml ? `${imageRelsXml}\n` : ""}</Relationships>`;
 function main() {
   const opts = parseArgs(process.argv.slice(2));
   const cwd = process.cwd();
+  const macrosFile = opts.macros ? path.resolve(opts.macros) : path.join(cwd, TP.MACRO_AREAS_FILE);
+  if (opts.macros && !fs.existsSync(macrosFile)) {
+    console.error(`${macrosFile}: not found.`);
+    process.exit(1);
+  }
+  opts.workspaceMacros = readWorkspaceMacros(macrosFile);
   const outDocx = opts.output || path.join(cwd, "threadscape_process_report.docx");
 
   const projectFiles = fs
@@ -869,13 +926,15 @@ function main() {
 
   // Also build per-project timelines for the cohort-average table.
   for (const pf of projectFiles) {
-    const json = JSON.parse(fs.readFileSync(pf.file, "utf8"));
+    const { project: json, migration } = TP.parseProject(fs.readFileSync(pf.file, "utf8"));
     const m = computeMetricsForProject(pf.name, json, opts);
+    // no macros block in the file: seeded from the old spelling rules (TP.legacyMacros)
+    m.legacyMacros = migration.applied.some((a) => a.id === "macros-block");
 
     // Timeline: first N weeks relative to earliest dated EX/MK node.
     const nodes = (json.nodes || []).map((n) => ({
-      action: String(n?.data?.action || "").toLowerCase().trim(),
-      date: parseDate(n?.data?.date || ""),
+      action: TP.actionKey(n?.data?.action),
+      date: TP.parseDate(n?.data?.date || ""),
     }));
     const em = nodes.filter((n) => n.date && (n.action === "exploring" || n.action === "making"));
     if (em.length) {
@@ -931,6 +990,9 @@ function main() {
     totalExploring,
     totalMaking,
     flaggedProjects: flagged,
+    macros: macroTotals(metrics),
+    unmapped: unmappedTotals(metrics),
+    legacyMacroProjects: metrics.filter((m) => m.legacyMacros).map((m) => m.project),
     agg: {
       interlacingIndex: agg.interlacingIndex,
       overlapIntensity: agg.overlapIntensity,
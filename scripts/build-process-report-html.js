@@ -2,6 +2,7 @@
 /* eslint-disable no-console */
 const fs = require("fs");
 const path = require("path");
+const TP = require("../shared-project.js");
 
 function escapeHtml(text) {
   return String(text ?? "")
@@ -18,6 +19,10 @@ function parseArgs(argv) {
     hubThreshold: 4,
     maxWeeks: 200,
     title: "Threadscape Process Analysis Report",
+    // macro-area mapping shared by the workspace; default: <cwd>/macro-areas.json
+    macros: null,
+    // bibliography section: apa | chicago
+    citationStyle: "apa",
   };
   const args = [...argv];
   while (args.length) {
@@ -26,71 +31,24 @@ function parseArgs(argv) {
     else if (a === "--hub-threshold") out.hubThreshold = Number(args.shift() || "4");
     else if (a === "--max-weeks") out.maxWeeks = Number(args.shift() || "200");
     else if (a === "--title") out.title = args.shift() || out.title;
+    else if (a === "--macros") out.macros = args.shift() || null;
+    else if (a === "--citation-style") out.citationStyle = args.shift() || "apa";
   }
+  if (!TP.CITATION_STYLES[out.citationStyle]) out.citationStyle = "apa";
   if (!Number.isFinite(out.hubThreshold) || out.hubThreshold < 1) out.hubThreshold = 4;
   if (!Number.isFinite(out.maxWeeks) || out.maxWeeks < 4) out.maxWeeks = 200;
   return out;
 }
 
-function parseDate(dateStr) {
-  if (!dateStr || typeof dateStr !== "string") return null;
-  const d = new Date(`${dateStr}T00:00:00`);
-  if (Number.isNaN(d.getTime())) return null;
-  return d;
-}
-
-function canonicalAreaName(value) {
-  const txt = String(value ?? "").replace(/\s+/g, " ").trim();
-  if (!txt) return "";
-  const low = txt.toLowerCase();
-  if (low === "speculative" || low === "speculative design") return "Speculative Design";
-  if (low === "communication" || low === "communication design") return "Communication Design";
-  if (low === "interaction" || low === "interaction design") return "Interaction Design";
-  return txt;
-}
-
-function normalizeAreaList(areas, legacyMainAreas) {
-  const seen = new Set();
-  const out = [];
-  const push = (raw) => {
-    const mapped = canonicalAreaName(raw);
-    if (!mapped) return;
-    const key = mapped
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, " ")
-      .trim()
-      .replace(/\s+/g, " ");
-    if (!key || seen.has(key)) return;
-    seen.add(key);
-    out.push(mapped);
-  };
-
-  const apply = (val) => {
-    if (!val) return;
-    if (Array.isArray(val)) val.forEach(push);
-    else push(val);
-  };
-  apply(areas);
-  apply(legacyMainAreas);
-  return out;
-}
-
-function macroFromAreas(areas) {
-  const scores = { speculative: 0, communication: 0, interaction: 0 };
-  const list = Array.isArray(areas) ? areas : [];
-  for (const a of list) {
-    const txt = String(a || "").toLowerCase();
-    if (!txt) continue;
-    if (txt.includes("specul")) scores.speculative += 1;
-    if (txt.includes("comunic") || txt.includes("communicat")) scores.communication += 1;
-    if (txt.includes("inter")) scores.interaction += 1;
+// Parsed macro-areas.json, or null when the workspace has none.
+function readWorkspaceMacros(file) {
+  if (!fs.existsSync(file)) return null;
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`${file}: ${String(e && e.message ? e.message : e)}`);
+    process.exit(1);
   }
-  const entries = Object.entries(scores).sort((x, y) => y[1] - x[1]);
-  if (!entries.length || entries[0][1] <= 0) return "unknown";
-  const top = entries[0][1];
-  const tied = entries.filter((e) => e[1] === top).map((e) => e[0]);
-  if (tied.length > 1) return "mixed";
-  return tied[0];
 }
 
 function median(values) {
@@ -211,24 +169,20 @@ function computeScc(nodes, edges, idToIndex) {
 function computeMetricsForProject(projectName, json, opts) {
   const rawNodes = Array.isArray(json.nodes) ? json.nodes : [];
   const rawEdges = Array.isArray(json.edges) ? json.edges : [];
+  const macros = TP.macroMapping(json, opts.workspaceMacros);
 
   const nodes = rawNodes.map((n) => {
     const data = n?.data || {};
-    const legacy = [
-      ...(Array.isArray(data.mainAreas) ? data.mainAreas : []),
-      data.mainArea,
-      data.mainarea,
-    ];
-    const areas = normalizeAreaList(data.areas, legacy);
-    const action = String(data.action || "").toLowerCase().trim();
-    const date = parseDate(data.date || "");
+    const areas = TP.normalizeAreaList(data.areas, TP.legacyMainAreas(data));
+    const action = TP.actionKey(data.action);
+    const date = TP.parseDate(data.date || "");
     const type = String(data.type || "").trim();
     return {
       id: String(n?.id || ""),
       action: action === "exploring" ? "exploring" : action === "making" ? "making" : "other",
       date,
       areas,
-      macro: macroFromAreas(areas),
+      macro: TP.macroFromAreas(areas, macros),
       type,
     };
   });
@@ -276,7 +230,8 @@ function computeMetricsForProject(projectName, json, opts) {
     if (edgePairs.has(rev) && from < to) reciprocalPairs += 1;
   }
 
-  const macroOk = (m) => m === "speculative" || m === "communication" || m === "interaction";
+  const macroIds = new Set(macros.macros.map((m) => m.id));
+  const macroOk = (m) => macroIds.has(m);
   let crossMacroEdges = 0;
   let macroEdgesConsidered = 0;
   for (const e of edges) {
@@ -377,12 +332,17 @@ function computeMetricsForProject(projectName, json, opts) {
   }
   const areaCounts = [...areaCountsMap.entries()].sort((a, b) => b[1] - a[1]);
 
-  const macroCountsMap = new Map();
-  for (const n of nodes) macroCountsMap.set(n.macro, (macroCountsMap.get(n.macro) || 0) + 1);
-  const macroCounts = [...macroCountsMap.entries()].sort((a, b) => b[1] - a[1]);
+  // [macro, label, nodes] for every row of the mapping, empty ones included.
+  const macroCounts = TP.macroKeys(macros).map((k) => [
+    k,
+    TP.macroLabel(k, macros),
+    nodes.filter((n) => n.macro === k).length,
+  ]);
 
   return {
     project: projectName,
+    title: TP.projectTitle(json, projectName),
+    meta: TP.normalizeMeta(json.meta),
     nodes: nCount,
     edges: eCount,
     exploring: exploringNodes.length,
@@ -420,9 +380,36 @@ function computeMetricsForProject(projectName, json, opts) {
     typeCounts,
     areaCounts,
     macroCounts,
+    unmappedAreas: TP.unmappedAreas(rawNodes, macros),
+    bibliography: TP.nodeBibliography(rawNodes, opts.citationStyle, { html: true }),
+    sourcesUncited: rawNodes.filter(
+      (n) => TP.typeKey(n?.data?.type) === "source" && !TP.nodeBibliography([n]).length
+    ).length,
   };
 }
 
+// Nodes per macro area across projects, in mapping order; mixed/unknown last.
+function macroTotals(metrics) {
+  const out = new Map();
+  for (const m of metrics) {
+    for (const [key, label, count] of m.macroCounts || []) {
+      if (!out.has(key)) out.set(key, { key, label, count: 0 });
+      out.get(key).count += count;
+    }
+  }
+  const bucket = (r) => Object.hasOwn(TP.MACRO_LABELS, r.key);
+  return [...out.values()].sort((a, b) => bucket(a) - bucket(b));
+}
+
+// Areas no macro lists, summed across projects: [[area, nodes]].
+function unmappedTotals(metrics) {
+  const out = new Map();
+  for (const m of metrics) {
+    for (const [area, count] of m.unmappedAreas || []) out.set(area, (out.get(area) || 0) + count);
+  }
+  return [...out.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
 function fmt(v, digits = 1) {
   if (v == null) return "-";
   if (typeof v === "number" && Number.isFinite(v)) {
@@ -469,10 +456,10 @@ function computePerProjectTimelines(projectFiles, metrics, opts) {
   const maxWeeks = Math.max(4, Number(opts.maxWeeks) || 200);
   const byName = new Map(metrics.map((m) => [m.project, m]));
   for (const pf of projectFiles) {
-    const json = JSON.parse(fs.readFileSync(pf.file, "utf8"));
+    const json = TP.parseProject(fs.readFileSync(pf.file, "utf8")).project;
     const nodes = (json.nodes || []).map((n) => ({
-      action: String(n?.data?.action || "").toLowerCase().trim(),
-      date: parseDate(n?.data?.date || ""),
+      action: TP.actionKey(n?.data?.action),
+      date: TP.parseDate(n?.data?.date || ""),
     }));
     const em = nodes.filter((n) => n.date && (n.action === "exploring" || n.action === "making"));
     if (!em.length) continue;
@@ -555,6 +542,8 @@ function svgBarChart(title, items, { width = 860, height = 280, valueMax = null,
 function toCsv(metrics) {
   const header = [
     "project",
+    "title",
+    "course",
     "nodes",
     "edges",
     "exploring",
@@ -575,7 +564,7 @@ function toCsv(metrics) {
   const lines = [header.join(",")];
   for (const m of metrics) {
     const row = header.map((k) => {
-      const v = m[k];
+      const v = k === "course" ? m.meta.course : m[k];
       if (v == null) return "";
       if (typeof v === "number") return Number.isFinite(v) ? String(v) : "";
       return String(v).replaceAll('"', '""');
@@ -588,6 +577,12 @@ function toCsv(metrics) {
 function main() {
   const opts = parseArgs(process.argv.slice(2));
   const cwd = process.cwd();
+  const macrosFile = opts.macros ? path.resolve(opts.macros) : path.join(cwd, TP.MACRO_AREAS_FILE);
+  if (opts.macros && !fs.existsSync(macrosFile)) {
+    console.error(`${macrosFile}: not found.`);
+    process.exit(1);
+  }
+  opts.workspaceMacros = readWorkspaceMacros(macrosFile);
   const outHtml = opts.output || path.join(cwd, "threadscape_process_report.html");
 
   const projectFiles = fs
@@ -610,8 +605,10 @@ function main() {
   const flagged = [];
 
   for (const pf of projectFiles) {
-    const json = JSON.parse(fs.readFileSync(pf.file, "utf8"));
+    const { project: json, migration } = TP.parseProject(fs.readFileSync(pf.file, "utf8"));
     const m = computeMetricsForProject(pf.name, json, opts);
+    // no macros block in the file: seeded from the old spelling rules (TP.legacyMacros)
+    m.legacyMacros = migration.applied.some((a) => a.id === "macros-block");
     if (m.spanDays != null && m.spanDays > 365 * 20) flagged.push(`${pf.name} (span ~${Math.round(m.spanDays / 365)}y)`);
     metrics.push(m);
     totalNodes += m.nodes;
@@ -660,15 +657,15 @@ function main() {
   // Aggregate “what is documented” across the dataset: node types + areas.
   const typeCountsAll = new Map();
   const areaCountsAll = new Map();
-  const macroCountsAll = new Map();
   for (const m of metrics) {
     for (const [k, c] of m.typeCounts || []) typeCountsAll.set(k, (typeCountsAll.get(k) || 0) + c);
     for (const [k, c] of m.areaCounts || []) areaCountsAll.set(k, (areaCountsAll.get(k) || 0) + c);
-    for (const [k, c] of m.macroCounts || []) macroCountsAll.set(k, (macroCountsAll.get(k) || 0) + c);
   }
   const topTypesAll = [...typeCountsAll.entries()].sort((a, b) => b[1] - a[1]).slice(0, 20);
   const topAreasAll = [...areaCountsAll.entries()].sort((a, b) => b[1] - a[1]).slice(0, 20);
-  const macroAll = [...macroCountsAll.entries()].sort((a, b) => b[1] - a[1]);
+  const macroAll = macroTotals(metrics);
+  const unmappedAll = unmappedTotals(metrics);
+  const legacyMacroProjects = metrics.filter((m) => m.legacyMacros).map((m) => m.project);
   const totalAreaMentions = [...areaCountsAll.values()].reduce((a, b) => a + b, 0);
 
   // Sort for stable tables.
@@ -680,17 +677,17 @@ function main() {
   // Simple distribution charts (bar charts, ordered by project name).
   const exMkMixSvg = svgBarChart(
     "Interlacing index (%) per progetto",
-    metrics.map((m) => ({ label: m.project.replace(/^\d+_/, ""), value: m.interlacingIndex })),
+    metrics.map((m) => ({ label: m.title, value: m.interlacingIndex })),
     { fmtValue: (v) => v.toFixed(0) }
   );
   const cyclesSvg = svgBarChart(
     "Cycle participation (%) per progetto",
-    metrics.map((m) => ({ label: m.project.replace(/^\d+_/, ""), value: m.cycleParticipation })),
+    metrics.map((m) => ({ label: m.title, value: m.cycleParticipation })),
     { fmtValue: (v) => v.toFixed(0) }
   );
   const crossSvg = svgBarChart(
     "Cross-area interlacing (%) per progetto",
-    metrics.map((m) => ({ label: m.project.replace(/^\d+_/, ""), value: m.crossInterlacingShare })),
+    metrics.map((m) => ({ label: m.title, value: m.crossInterlacingShare })),
     { fmtValue: (v) => v.toFixed(0) }
   );
 
@@ -841,14 +838,31 @@ function main() {
           <thead><tr><th>Macro</th><th>Count</th><th>Share</th></tr></thead>
           <tbody>
             ${macroAll
-              .map(([k, c]) => `<tr><td>${escapeHtml(k)}</td><td>${c}</td><td>${(
-                (c / Math.max(1, summary.totalNodes)) *
+              .map(({ key, label, count }) => `<tr><td title="${escapeHtml(key)}">${escapeHtml(label)}</td><td>${count}</td><td>${(
+                (count / Math.max(1, summary.totalNodes)) *
                 100
               ).toFixed(1)}%</td></tr>`)
               .join("\n")}
           </tbody>
         </table>
-        <p class="note">Valori “mixed/unknown” indicano nodi con aree multiple o aree non riconosciute come macro.</p>
+        <p class="note">Le macro-aree vengono dalla mappatura esplicita (<code>${escapeHtml(TP.MACRO_AREAS_FILE)}</code> del workspace e blocco <code>macros</code> di ogni progetto). “Multi-area / mixed” = aree di macro diverse a pari merito; “Unmapped” = nessuna area assegnata a una macro.${
+          legacyMacroProjects.length
+            ? ` Senza blocco <code>macros</code> (${legacyMacroProjects.map(escapeHtml).join(", ")}) le aree sono lette con le vecchie regole sull'ortografia (“specul”, “communicat”/“comunic”, “inter”), trasformate in una lista: <code>scripts/migrate-projects.js --apply</code> la scrive nel progetto.`
+            : ""
+        }</p>
+      </div>
+      <div class="panel">
+        <h3>Aree non mappate (top 20)</h3>
+        <table class="small">
+          <thead><tr><th>Area</th><th>Nodi</th></tr></thead>
+          <tbody>
+            ${unmappedAll
+              .slice(0, 20)
+              .map(([k, c]) => `<tr><td>${escapeHtml(k)}</td><td>${c}</td></tr>`)
+              .join("\n") || `<tr><td colspan="2">Tutte le aree sono mappate.</td></tr>`}
+          </tbody>
+        </table>
+        <p class="note">Aree usate dai nodi ma assegnate a nessuna macro (${unmappedAll.length} in totale): assegnale dall'editor (Project settings → Macro areas) o in <code>${escapeHtml(TP.MACRO_AREAS_FILE)}</code>.</p>
       </div>
       <div class="panel">
         <h3>Lettura</h3>
@@ -867,7 +881,7 @@ function main() {
     </details>
     <details>
       <summary>Cross-area edges (%) <span>movimenti orizzontali tra macro-aree</span></summary>
-      <p>Tra gli archi i cui estremi hanno una macro-area (Speculative/Communication/Interaction): % che connette macro-aree diverse. Alto = transizioni disciplinari frequenti.</p>
+      <p>Tra gli archi i cui estremi hanno una macro-area (secondo la mappatura area→macro): % che connette macro-aree diverse. Alto = transizioni disciplinari frequenti.</p>
     </details>
     <details>
       <summary>Cross-area interlacing (%) <span>interlacing che attraversa discipline</span></summary>
@@ -965,6 +979,43 @@ function main() {
       </div>
     </div>
 
+    <h2>Progetti</h2>
+    <div class="panel">
+      <table class="small">
+        <thead>
+          <tr><th>Progetto</th><th>Cartella</th><th>Autori</th><th>Corso</th><th>Periodo</th><th>Licenza</th></tr>
+        </thead>
+        <tbody>
+          ${metrics
+            .map(
+              (m) => `<tr>
+                <td>${escapeHtml(m.title)}</td><td>${escapeHtml(m.project)}</td>
+                <td>${escapeHtml(m.meta.authors.join(", ") || "-")}</td><td>${escapeHtml(m.meta.course || "-")}</td>
+                <td>${m.meta.start || m.meta.end ? escapeHtml(`${m.meta.start || "…"} → ${m.meta.end || "…"}`) : "-"}</td>
+                <td>${escapeHtml(m.meta.license || "-")}</td>
+              </tr>`
+            )
+            .join("\n")}
+        </tbody>
+      </table>
+      <p class="note">Da <code>meta</code> in project.json (impostazioni di progetto nell'editor); senza titolo si usa il nome della cartella.</p>
+    </div>
+
+    <h2>Bibliografia</h2>
+    <div class="panel">
+      ${metrics
+        .map(
+          (m) => `<h3>${escapeHtml(m.title)}</h3>
+      ${
+        m.bibliography.length
+          ? `<ol class="bibliography">${m.bibliography.map((b) => `<li>${b.text}</li>`).join("\n")}</ol>`
+          : `<p class="note">Nessuna fonte con dati bibliografici.</p>`
+      }${m.sourcesUncited ? `<p class="note">${m.sourcesUncited} nodi Source senza dati bibliografici.</p>` : ""}`
+        )
+        .join("\n")}
+      <p class="note">Stile: ${escapeHtml(TP.CITATION_STYLES[opts.citationStyle])} (<code>--citation-style apa|chicago</code>). Fonti con dati CSL (<code>data.csl</code>, importabili da .bib/CSL nell'editor) o con il campo Citation compilato.</p>
+    </div>
+
     <h2>Metriche per progetto (tabella A)</h2>
     <div class="panel">
       <table class="small">
@@ -979,7 +1030,7 @@ function main() {
           ${metrics
             .map(
               (m) => `<tr>
-                <td>${escapeHtml(m.project)}</td>
+                <td title="${escapeHtml(m.project)}">${escapeHtml(m.title)}</td>
                 <td>${fmt(m.nodes, 0)}</td><td>${fmt(m.edges, 0)}</td><td>${fmt(m.exploring, 0)}</td><td>${fmt(
                 m.making,
                 0
@@ -1011,7 +1062,7 @@ function main() {
           ${metrics
             .map(
               (m) => `<tr>
-                <td>${escapeHtml(m.project)}</td>
+                <td title="${escapeHtml(m.project)}">${escapeHtml(m.title)}</td>
                 <td>${fmt(m.multiAreaShare)}</td><td>${fmt(m.avgAreas, 2)}</td><td>${fmt(m.crossMacroShare)}</td>
                 <td>${fmt(m.sccCount, 0)}</td><td>${fmt(m.largestScc, 0)}</td><td>${fmt(m.reciprocityPairs, 0)}</td>
                 <td>${fmt(m.convergent, 0)}</td><td>${fmt(m.divergent, 0)}</td><td>${fmt(m.sources, 0)}</td><td>${fmt(
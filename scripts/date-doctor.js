@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const path = require("path");
+const TP = require("../shared-project.js");
+
+// Suggests date repairs for project.json files (rules in shared-project.js:
+// format, truncatedYear, swappedDayMonth, missingOrInvalid, outOfSpan,
+// edgeOrder). Dry run by default; --apply writes the suggestions at or above
+// --min-confidence (default: high) after a project.json.bak_pre_datefix backup.
+function parseArgs(argv) {
+  const out = {
+    cwd: process.cwd(),
+    apply: false,
+    file: null,
+    projects: [],
+    rules: null,
+    minConfidence: "high",
+    edgeToleranceDays: 30,
+    spanGapDays: 60,
+    min: null,
+    max: null,
+    json: null,
+  };
+  const args = [...argv];
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--cwd") out.cwd = args.shift() || out.cwd;
+    else if (a === "--apply") out.apply = true;
+    else if (a === "--file") out.file = args.shift() || null;
+    else if (a === "--project") {
+      const name = args.shift();
+      if (name) out.projects.push(name);
+    } else if (a === "--rules") out.rules = String(args.shift() || "").split(",").filter(Boolean);
+    else if (a === "--min-confidence") out.minConfidence = args.shift() || "high";
+    else if (a === "--edge-tolerance-days") out.edgeToleranceDays = Number(args.shift() || "30");
+    else if (a === "--span-gap-days") out.spanGapDays = Number(args.shift() || "60");
+    else if (a === "--min") out.min = args.shift() || null;
+    else if (a === "--max") out.max = args.shift() || null;
+    else if (a === "--json") out.json = args.shift() || null;
+  }
+  if (!(out.minConfidence in TP.CONFIDENCE_RANK)) out.minConfidence = "high";
+  if (!Number.isFinite(out.edgeToleranceDays) || out.edgeToleranceDays < 0) out.edgeToleranceDays = 30;
+  if (!Number.isFinite(out.spanGapDays) || out.spanGapDays < 1) out.spanGapDays = 60;
+  if (out.rules) {
+    const unknown = out.rules.filter((r) => !TP.DATE_RULES.includes(r));
+    if (unknown.length) {
+      console.error(`Unknown rule(s): ${unknown.join(", ")}. Available: ${TP.DATE_RULES.join(", ")}`);
+      process.exit(1);
+    }
+  }
+  return out;
+}
+
+function listProjectFiles(cwd) {
+  return fs
+    .readdirSync(cwd, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d+_/.test(d.name))
+    .map((d) => ({ name: d.name, file: path.join(cwd, d.name, "project.json") }))
+    .filter((x) => fs.existsSync(x.file))
+    .sort((a, b) => a.name.localeCompare(b.name, "en"));
+}
+
+// First free name: project.json.bak_pre_datefix, then _2, _3...
+function backupPath(file) {
+  const base = `${file}.bak_pre_datefix`;
+  let candidate = base;
+  for (let i = 2; fs.existsSync(candidate); i++) candidate = `${base}_${i}`;
+  return candidate;
+}
+
+function doctorFile(projectFile, opts) {
+  const abs = path.resolve(projectFile);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(abs, "utf8"));
+  } catch (e) {
+    return { file: abs, suggestions: [], error: `JSON parse failed: ${String(e && e.message ? e.message : e)}` };
+  }
+
+  const { span, suggestions } = TP.diagnoseDates(json, {
+    rules: opts.rules || TP.DATE_RULES,
+    edgeToleranceDays: opts.edgeToleranceDays,
+    spanGapDays: opts.spanGapDays,
+    min: opts.min,
+    max: opts.max,
+  });
+  const minRank = TP.CONFIDENCE_RANK[opts.minConfidence];
+  const accepted = suggestions.filter((s) => s.proposed && TP.CONFIDENCE_RANK[s.confidence] >= minRank);
+
+  const out = { file: abs, span, suggestions, applied: 0, backup: null };
+  if (opts.apply && accepted.length) {
+    const byId = new Map(accepted.map((s) => [s.id, s.proposed]));
+    for (const n of json.nodes || []) {
+      if (!byId.has(n?.id)) continue;
+      if (!n.data || typeof n.data !== "object") n.data = {};
+      n.data.date = byId.get(n.id);
+    }
+    out.backup = backupPath(abs);
+    fs.copyFileSync(abs, out.backup);
+    fs.writeFileSync(abs, JSON.stringify(json, null, 2), "utf8");
+    out.applied = accepted.length;
+  }
+  return out;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const cwd = path.resolve(opts.cwd);
+
+  let files = opts.file
+    ? [{ name: path.basename(path.dirname(opts.file)), file: path.resolve(opts.file) }]
+    : listProjectFiles(cwd);
+  if (opts.projects.length) files = files.filter((f) => opts.projects.includes(f.name));
+
+  if (!files.length) {
+    console.error("No project.json found.");
+    process.exit(1);
+  }
+
+  const results = files.map((f) => doctorFile(f.file, opts));
+  const flagged = results.filter((r) => r.suggestions.length);
+  const errs = results.filter((r) => r.error);
+
+  console.log(`Mode: ${opts.apply ? `APPLY (confidence >= ${opts.minConfidence})` : "DRY-RUN"}`);
+  console.log(`Files scanned: ${results.length} · Files with suggestions: ${flagged.length}`);
+  for (const r of flagged) {
+    console.log(
+      `\n- ${path.relative(cwd, r.file) || r.file}: ${r.suggestions.length} suggestions · span ${r.span.min}…${r.span.max}`
+    );
+    for (const s of r.suggestions) {
+      const t = s.title ? ` · ${s.title}` : "";
+      console.log(`  [${s.confidence}] ${s.rule} ${s.id}: ${s.old || "(empty)"} -> ${s.proposed || "?"}${t}`);
+      console.log(`      ${s.reason}`);
+    }
+    if (r.applied) console.log(`  applied ${r.applied} · backup: ${path.relative(cwd, r.backup)}`);
+  }
+  if (!opts.apply && flagged.length) {
+    console.log(`\nNothing written. Re-run with --apply (and --min-confidence low|medium|high) to save.`);
+  }
+
+  if (opts.json) {
+    const outPath = path.resolve(cwd, opts.json);
+    fs.writeFileSync(outPath, JSON.stringify({ opts, results }, null, 2), "utf8");
+    console.log(`\nWrote: ${outPath}`);
+  }
+
+  if (errs.length) {
+    console.log("\nErrors:");
+    for (const r of errs) console.log(`- ${r.file}: ${r.error}`);
+    process.exit(1);
+  }
+}
+
+main();
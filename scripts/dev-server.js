@@ -0,0 +1,394 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const TP = require("../shared-project.js");
+
+// Local server for the HTML views, plus a small REST API over the numbered
+// project folders so the editor can open and save without the File System
+// Access API (Firefox, Safari).
+//   npm run dev                                   http://127.0.0.1:8080/ (workspace home)
+//   node scripts/dev-server.js [--cwd <dir>] [--port 8080] [--host 127.0.0.1]
+// API (<name> is a numbered folder such as 1_linguistic):
+//   GET  /api/projects                        folders with a project.json
+//   GET  /api/projects/<name>                 project.json
+//   PUT  /api/projects/<name>                 write project.json (atomic, creates the folder;
+//                                             Content-Type: application/json)
+//   GET  /api/projects/<name>/history         project.history.jsonl
+//   POST /api/projects/<name>/history         append JSON lines to it (Content-Type:
+//                                             application/x-ndjson or application/json)
+//   GET  /api/projects/<name>/assets          files under assets/ ({ path, size })
+//   GET  /api/projects/<name>/assets/<path>   stream an asset (Range requests supported)
+//   PUT  /api/projects/<name>/assets/<path>   upload an asset (the body is the file; the
+//                                             folder must already hold a project.json)
+// Writes go to a temporary file that is then renamed over the target, so a
+// failed request never leaves a half-written project.json or asset.
+// Requests must name this server in Host (and in Origin, when a browser sends
+// one), so other sites and DNS-rebinding pages cannot reach the API.
+const PROJECT_NAME = /^\d+_[A-Za-z0-9][\w.-]*$/;
+const MAX_JSON_BYTES = 256 * 1024 * 1024;
+const MAX_ASSET_BYTES = 1024 * 1024 * 1024;
+const MIME = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".jsonl": "application/x-ndjson; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".bmp": "image/bmp",
+  ".ico": "image/x-icon",
+  ".pdf": "application/pdf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mov": "video/quicktime",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/plain; charset=utf-8",
+  ".bib": "text/plain; charset=utf-8",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+};
+
+function parseArgs(argv) {
+  const out = {
+    cwd: process.cwd(),
+    port: Number(process.env.PORT || 8080),
+    host: "127.0.0.1",
+  };
+  const args = [...argv];
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--cwd") out.cwd = args.shift() || out.cwd;
+    else if (a === "--port") out.port = Number(args.shift() || "8080");
+    else if (a === "--host") out.host = args.shift() || out.host;
+  }
+  if (!Number.isInteger(out.port) || out.port < 0 || out.port > 65535) out.port = 8080;
+  return out;
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// "host:port" values a request may carry in Host: the loopback names, the
+// --host address, or every interface address when listening on all of them.
+function allowedHosts(host, port) {
+  const names = ["localhost", "127.0.0.1", "::1"];
+  if (host === "0.0.0.0" || host === "::") {
+    for (const list of Object.values(os.networkInterfaces())) for (const a of list || []) names.push(a.address);
+  } else names.push(host);
+  const out = new Set();
+  for (const name of names) {
+    const h = (name.includes(":") ? `[${name}]` : name).toLowerCase();
+    out.add(`${h}:${port}`);
+    if (port === 80) out.add(h);
+  }
+  return out;
+}
+
+function checkHost(req, hosts) {
+  const host = String(req.headers.host || "").toLowerCase();
+  if (!hosts.has(host)) throw new HttpError(403, `Host not allowed: ${host || "(none)"}`);
+  const origin = req.headers.origin;
+  if (origin !== undefined && origin.toLowerCase() !== `http://${host}`)
+    throw new HttpError(403, `Origin not allowed: ${origin}`);
+}
+
+function requireContentType(req, types) {
+  const type = String(req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+  if (!types.includes(type)) throw new HttpError(415, `Content-Type must be ${types.join(" or ")}`);
+}
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body, null, 2);
+  res.writeHead(status, {
+    "Content-Type": MIME[".json"],
+    "Content-Length": Buffer.byteLength(text),
+    "Cache-Control": "no-store",
+  });
+  res.end(text);
+}
+
+// Streams a file; a single "bytes=a-b" range is honoured (video seeking).
+function sendFile(req, res, file) {
+  let stat;
+  try {
+    stat = fs.statSync(file);
+  } catch {
+    throw new HttpError(404, "Not found");
+  }
+  if (!stat.isFile()) throw new HttpError(404, "Not found");
+  const headers = {
+    "Content-Type": MIME[path.extname(file).toLowerCase()] || "application/octet-stream",
+    "Accept-Ranges": "bytes",
+    "Last-Modified": stat.mtime.toUTCString(),
+    "Cache-Control": "no-store",
+  };
+  let start = 0;
+  let end = stat.size - 1;
+  const range = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || "");
+  if (range && (range[1] || range[2])) {
+    if (range[1]) {
+      start = Number(range[1]);
+      if (range[2]) end = Math.min(Number(range[2]), end);
+    } else {
+      start = Math.max(0, stat.size - Number(range[2]));
+    }
+    if (start > end) {
+      res.writeHead(416, { "Content-Range": `bytes */${stat.size}` });
+      res.end();
+      return;
+    }
+    headers["Content-Range"] = `bytes ${start}-${end}/${stat.size}`;
+  }
+  headers["Content-Length"] = stat.size ? end - start + 1 : 0;
+  res.writeHead(range && headers["Content-Range"] ? 206 : 200, headers);
+  if (req.method === "HEAD" || !stat.size) {
+    res.end();
+    return;
+  }
+  fs.createReadStream(file, { start, end }).pipe(res);
+}
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, `Body larger than ${limit} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+const tempPath = (file) => `${file}.tmp-${process.pid}-${Date.now()}`;
+
+function writeAtomic(file, text) {
+  const tmp = tempPath(file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  try {
+    fs.writeFileSync(tmp, text, "utf8");
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+// The request body goes straight to disk, then replaces the target; past
+// limit bytes the upload is dropped.
+function streamAtomic(req, file, limit) {
+  if (Number(req.headers["content-length"]) > limit) throw new HttpError(413, `Body larger than ${limit} bytes`);
+  const tmp = tempPath(file);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  return new Promise((resolve, reject) => {
+    let failed = false;
+    const fail = (e) => {
+      if (failed) return;
+      failed = true;
+      out.destroy();
+      fs.rmSync(tmp, { force: true });
+      reject(e);
+    };
+    const out = fs.createWriteStream(tmp);
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= limit) return;
+      req.unpipe(out);
+      fail(new HttpError(413, `Body larger than ${limit} bytes`));
+      req.destroy();
+    });
+    req.on("error", fail);
+    req.on("aborted", () => fail(new HttpError(400, "Upload aborted")));
+    out.on("error", fail);
+    out.on("finish", () => {
+      try {
+        fs.renameSync(tmp, file);
+        resolve(fs.statSync(file).size);
+      } catch (e) {
+        fail(e);
+      }
+    });
+    req.pipe(out);
+  });
+}
+
+// Path under root for a URL path; never outside it and never a dotfile
+// (.git, .codex, temporary files).
+function resolveInside(root, rel) {
+  const parts = rel.split("/").filter(Boolean);
+  if (parts.some((p) => p.startsWith(".") || p.includes("\\"))) return null;
+  const abs = path.resolve(root, ...parts);
+  return abs === root || abs.startsWith(root + path.sep) ? abs : null;
+}
+
+function listProjects(root) {
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && PROJECT_NAME.test(d.name))
+    .map((d) => ({ name: d.name, file: path.join(root, d.name, "project.json") }))
+    .filter((x) => fs.existsSync(x.file))
+    .sort((a, b) => a.name.localeCompare(b.name, "en", { numeric: true }))
+    .map(({ name, file }) => {
+      const stat = fs.statSync(file);
+      const out = { name, modified: stat.mtime.toISOString(), bytes: stat.size };
+      try {
+        const json = JSON.parse(fs.readFileSync(file, "utf8"));
+        out.title = TP.projectTitle(json, name);
+        out.version = json.version ?? null;
+        out.nodes = Array.isArray(json.nodes) ? json.nodes.length : 0;
+      } catch (e) {
+        out.error = `JSON parse failed: ${String(e && e.message ? e.message : e)}`;
+      }
+      return out;
+    });
+}
+
+// Every file under assets/, as "assets/..." paths relative to the project folder.
+function listAssets(projectDir, rel = "assets") {
+  const abs = path.join(projectDir, rel);
+  if (!fs.existsSync(abs)) return [];
+  const out = [];
+  for (const d of fs.readdirSync(abs, { withFileTypes: true })) {
+    if (d.name.startsWith(".")) continue;
+    const childRel = `${rel}/${d.name}`;
+    if (d.isDirectory()) out.push(...listAssets(projectDir, childRel));
+    else if (d.isFile()) out.push({ path: childRel, size: fs.statSync(path.join(projectDir, childRel)).size });
+  }
+  return out;
+}
+
+async function handleApi(req, res, root, parts) {
+  const method = req.method;
+  if (!parts.length) {
+    if (method !== "GET") throw new HttpError(405, "Use GET");
+    return sendJson(res, 200, { projects: listProjects(root) });
+  }
+  const [name, section, ...rest] = parts;
+  if (!PROJECT_NAME.test(name)) throw new HttpError(400, `Not a project folder name: ${name}`);
+  const dir = path.join(root, name);
+  const projectFile = path.join(dir, "project.json");
+
+  if (!section) {
+    if (method === "GET" || method === "HEAD") return sendFile(req, res, projectFile);
+    if (method !== "PUT") throw new HttpError(405, "Use GET or PUT");
+    requireContentType(req, ["application/json"]);
+    const text = await readBody(req, MAX_JSON_BYTES);
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (e) {
+      throw new HttpError(400, `Invalid JSON: ${e.message}`);
+    }
+    if (!json || typeof json !== "object" || !Array.isArray(json.nodes))
+      throw new HttpError(400, "Not a project: nodes[] missing");
+    const created = !fs.existsSync(projectFile);
+    writeAtomic(projectFile, text);
+    console.log(`${created ? "created" : "saved"} ${name}/project.json (${json.nodes.length} nodes)`);
+    return sendJson(res, created ? 201 : 200, { name, nodes: json.nodes.length, bytes: Buffer.byteLength(text) });
+  }
+
+  if (!fs.existsSync(projectFile)) throw new HttpError(404, `No project.json in ${name}`);
+
+  if (section === "history" && !rest.length) {
+    const file = path.join(dir, TP.HISTORY_FILE);
+    if (method === "GET" || method === "HEAD") {
+      if (!fs.existsSync(file)) return sendJson(res, 404, { error: "No history yet" });
+      return sendFile(req, res, file);
+    }
+    if (method !== "POST") throw new HttpError(405, "Use GET or POST");
+    requireContentType(req, ["application/x-ndjson", "application/json"]);
+    const lines = (await readBody(req, MAX_JSON_BYTES)).split("\n").filter((l) => l.trim());
+    lines.forEach((l, i) => {
+      try {
+        JSON.parse(l);
+      } catch {
+        throw new HttpError(400, `Line ${i + 1} is not JSON`);
+      }
+    });
+    fs.appendFileSync(file, lines.map((l) => `${l}\n`).join(""), "utf8");
+    return sendJson(res, 200, { appended: lines.length });
+  }
+
+  if (section === "assets" && !rest.length) {
+    if (method !== "GET") throw new HttpError(405, "Use GET");
+    return sendJson(res, 200, { assets: listAssets(dir) });
+  }
+
+  if (section === "assets" && rest.length) {
+    const file = resolveInside(path.join(dir, "assets"), rest.join("/"));
+    if (!file) throw new HttpError(400, "Bad asset path");
+    if (method === "GET" || method === "HEAD") return sendFile(req, res, file);
+    if (method !== "PUT") throw new HttpError(405, "Use GET or PUT");
+    const bytes = await streamAtomic(req, file, MAX_ASSET_BYTES);
+    return sendJson(res, 200, { path: path.relative(dir, file).split(path.sep).join("/"), bytes });
+  }
+
+  throw new HttpError(404, "Unknown endpoint");
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const root = path.resolve(opts.cwd);
+  let hosts = new Set();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      checkHost(req, hosts);
+      const url = new URL(req.url, "http://localhost");
+      let parts;
+      try {
+        parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+      } catch {
+        throw new HttpError(400, "Bad URL encoding");
+      }
+      if (parts[0] === "api") {
+        if (parts[1] !== "projects") throw new HttpError(404, "Unknown endpoint");
+        return await handleApi(req, res, root, parts.slice(2));
+      }
+      if (req.method !== "GET" && req.method !== "HEAD") throw new HttpError(405, "Read-only");
+      const file = resolveInside(root, parts.length ? parts.join("/") : "index.html");
+      if (!file) throw new HttpError(404, "Not found");
+      return sendFile(req, res, file);
+    } catch (e) {
+      const status = e instanceof HttpError ? e.status : 500;
+      if (status === 500) console.error(`${req.method} ${req.url}:`, e);
+      if (res.headersSent) return res.destroy();
+      return sendJson(res, status, { error: String(e && e.message ? e.message : e) });
+    }
+  });
+
+  server.on("error", (e) => {
+    console.error(`Cannot listen on ${opts.host}:${opts.port}: ${e.message}`);
+    process.exit(1);
+  });
+  server.listen(opts.port, opts.host, () => {
+    const { port } = server.address();
+    hosts = allowedHosts(opts.host, port);
+    const host = opts.host.includes(":") ? `[${opts.host}]` : opts.host;
+    console.log(`Serving ${root}`);
+    console.log(`Projects: ${listProjects(root).length} · API: http://${host}:${port}/api/projects`);
+    console.log(`Home:     http://${host}:${port}/`);
+  });
+}
+
+main();
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const path = require("path");
+const TP = require("../shared-project.js");
+const TS = require("../shared-site.js");
+
+// Writes a read-only static site (shared-site.js) of the numbered project
+// folders, or of the ones given with --project, into --out (default: site/).
+// The folder can be published as is or opened from disk.
+function parseArgs(argv) {
+  const out = {
+    cwd: process.cwd(),
+    out: "site",
+    projects: [],
+    title: null,
+    // --no-assets: pages only, e.g. to preview the layout quickly
+    assets: true,
+  };
+  const args = [...argv];
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--cwd") out.cwd = args.shift() || out.cwd;
+    else if (a === "--out") out.out = args.shift() || out.out;
+    else if (a === "--project") {
+      const name = args.shift();
+      if (name) out.projects.push(name);
+    } else if (a === "--title") out.title = args.shift() || null;
+    else if (a === "--no-assets") out.assets = false;
+  }
+  return out;
+}
+
+function formatBytes(n) {
+  if (!Number.isFinite(n) || n <= 0) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  let v = n;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${v.toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+function writeFile(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, data);
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const cwd = path.resolve(opts.cwd);
+  const outDir = path.resolve(cwd, opts.out);
+
+  let projectDirs = fs
+    .readdirSync(cwd, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d+_/.test(d.name))
+    .map((d) => ({ name: d.name, dir: path.join(cwd, d.name) }))
+    .sort((a, b) => (parseInt(a.name, 10) || 0) - (parseInt(b.name, 10) || 0));
+  if (opts.projects.length) {
+    const wanted = new Set(opts.projects);
+    projectDirs = projectDirs.filter((p) => wanted.has(p.name));
+  }
+  if (!projectDirs.length) {
+    console.error("No numbered project folders found.");
+    process.exit(1);
+  }
+  if (projectDirs.some((p) => path.resolve(p.dir) === outDir || outDir.startsWith(path.resolve(p.dir) + path.sep))) {
+    console.error(`--out ${opts.out} is inside a project folder.`);
+    process.exit(1);
+  }
+
+  const entries = [];
+  for (const p of projectDirs) {
+    try {
+      entries.push({ name: p.name, project: JSON.parse(fs.readFileSync(path.join(p.dir, "project.json"), "utf8")) });
+    } catch (e) {
+      console.log(`- ${p.name}: skipped, ${String(e && e.message ? e.message : e)}`);
+    }
+  }
+  if (!entries.length) {
+    console.error("No readable project.json.");
+    process.exit(1);
+  }
+
+  const title = opts.title || (entries.length === 1 ? TP.projectTitle(entries[0].project, entries[0].name) : "Threadscape");
+  const site = TS.buildSite(entries, { title });
+  for (const f of site.files) writeFile(path.join(outDir, f.path), f.text);
+
+  let copied = 0;
+  let bytes = 0;
+  const missing = [];
+  if (opts.assets) {
+    for (const a of site.assets) {
+      const from = path.join(cwd, a.project, a.from);
+      if (!fs.existsSync(from)) {
+        missing.push(`${a.project}/${a.from}`);
+        continue;
+      }
+      const to = path.join(outDir, a.to);
+      fs.mkdirSync(path.dirname(to), { recursive: true });
+      fs.copyFileSync(from, to);
+      copied += 1;
+      bytes += fs.statSync(from).size;
+    }
+  }
+
+  console.log(`Site: ${entries.length} project(s) · ${site.files.length} pages and files · ${copied} asset(s) copied (${formatBytes(bytes)})`);
+  if (!opts.assets) console.log("Assets: skipped (--no-assets)");
+  if (missing.length) {
+    console.log(`Missing assets: ${missing.length} (not in the project folder)`);
+    for (const m of missing.slice(0, 10)) console.log(`  ${m}`);
+    if (missing.length > 10) console.log(`  ... ${missing.length - 10} more`);
+  }
+  console.log(`Open: ${path.relative(cwd, path.join(outDir, "index.html")) || "index.html"}`);
+}
+
+main();
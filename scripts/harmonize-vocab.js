@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const path = require("path");
+const TP = require("../shared-project.js");
+
+// Harmonizes areas and tags across the numbered project folders (rules in
+// shared-project.js: termSimilarity, clusterTerms, applyTermMapping).
+//   node scripts/harmonize-vocab.js            scan, write vocab-mapping.json
+//   node scripts/harmonize-vocab.js --apply    rewrite every project.json
+// The mapping lists clusters of spellings that look like one term; the
+// canonical is a spelling from a vocab or terms block, else the most used, and
+// "review": true marks a choice that may be the wrong spelling (a narrow lead or
+// a one-typo variant, with no single declared spelling). Review it:
+// change a canonical spelling, drop variants or whole clusters, then set
+// "approved": true. --apply refuses a mapping that isn't approved and keeps a
+// project.json.bak_pre_harmonize backup of every file it changes.
+const MAPPING_FILE = "vocab-mapping.json";
+
+function parseArgs(argv) {
+  const out = {
+    cwd: process.cwd(),
+    projects: [],
+    kinds: TP.TERM_KINDS,
+    mapping: null,
+    apply: false,
+    force: false,
+    overlap: 3 / 4,
+    json: null,
+  };
+  const args = [...argv];
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--cwd") out.cwd = args.shift() || out.cwd;
+    else if (a === "--project") {
+      const name = args.shift();
+      if (name) out.projects.push(name);
+    } else if (a === "--kind") out.kinds = String(args.shift() || "").split(",").filter(Boolean);
+    else if (a === "--mapping") out.mapping = args.shift() || null;
+    else if (a === "--apply") out.apply = true;
+    else if (a === "--force") out.force = true;
+    else if (a === "--overlap") out.overlap = Number(args.shift() || "0.75");
+    else if (a === "--json") out.json = args.shift() || null;
+  }
+  if (!Number.isFinite(out.overlap) || out.overlap <= 0 || out.overlap > 1) out.overlap = 3 / 4;
+  const unknown = out.kinds.filter((k) => !TP.TERM_KINDS.includes(k));
+  if (unknown.length || !out.kinds.length) {
+    console.error(`Unknown kind(s): ${unknown.join(", ") || "(none)"}. Available: ${TP.TERM_KINDS.join(", ")}`);
+    process.exit(1);
+  }
+  return out;
+}
+
+function listProjectFiles(cwd) {
+  return fs
+    .readdirSync(cwd, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d+_/.test(d.name))
+    .map((d) => ({ name: d.name, file: path.join(cwd, d.name, "project.json") }))
+    .filter((x) => fs.existsSync(x.file))
+    .sort((a, b) => a.name.localeCompare(b.name, "en"));
+}
+
+function readJson(file) {
+  try {
+    return { json: JSON.parse(fs.readFileSync(file, "utf8")) };
+  } catch (e) {
+    return { error: `JSON parse failed: ${String(e && e.message ? e.message : e)}` };
+  }
+}
+
+// First free name: project.json.bak_pre_harmonize, then _2, _3...
+function backupPath(file) {
+  const base = `${file}.bak_pre_harmonize`;
+  let candidate = base;
+  for (let i = 2; fs.existsSync(candidate); i++) candidate = `${base}_${i}`;
+  return candidate;
+}
+
+// Every spelling of one kind: node uses, plus vocab entries and terms labels
+// no node uses. Spellings in a vocab or terms block are marked declared.
+function collectTerms(projects, kind) {
+  const byTerm = new Map();
+  const entry = (term) => {
+    const t = String(term ?? "").replace(/\s+/g, " ").trim();
+    if (!t) return null;
+    if (!byTerm.has(t)) byTerm.set(t, { term: t, count: 0, projects: [], declared: false });
+    return byTerm.get(t);
+  };
+  for (const p of projects) {
+    const seen = new Set();
+    const use = (e) => {
+      if (e && !seen.has(e.term)) {
+        seen.add(e.term);
+        e.projects.push(p.name);
+      }
+    };
+    for (const n of p.json.nodes || []) {
+      for (const x of n?.data?.[kind] || []) {
+        const e = entry(x);
+        if (!e) continue;
+        e.count++;
+        use(e);
+      }
+    }
+    const labels = p.json.terms ? TP.normalizeTerms(p.json.terms)[kind].map((t) => t.label) : [];
+    for (const x of [...(p.json.vocab?.[kind] || []), ...labels]) {
+      const e = entry(x);
+      if (!e) continue;
+      e.declared = true;
+      use(e);
+    }
+  }
+  return [...byTerm.values()];
+}
+
+function propose(projects, opts, mappingFile) {
+  const previous = fs.existsSync(mappingFile) ? readJson(mappingFile).json : null;
+  if (previous?.approved && !opts.force) {
+    console.error(`${mappingFile} is approved; apply it with --apply, or pass --force to replace it.`);
+    process.exit(1);
+  }
+  const mapping = {
+    generated: new Date().toISOString(),
+    approved: false,
+    projects: projects.map((p) => p.name),
+  };
+  const report = {};
+  for (const kind of opts.kinds) {
+    const terms = collectTerms(projects, kind);
+    mapping[kind] = TP.clusterTerms(terms, kind, { overlap: opts.overlap });
+    report[kind] = { terms: terms.length, clusters: mapping[kind].length };
+  }
+  fs.writeFileSync(mappingFile, JSON.stringify(mapping, null, 2), "utf8");
+
+  console.log(`Projects scanned: ${projects.length}`);
+  for (const kind of opts.kinds) {
+    const variants = mapping[kind].reduce((sum, c) => sum + c.variants.length, 0);
+    const review = mapping[kind].filter((c) => c.review).length;
+    console.log(
+      `\n${kind}: ${report[kind].terms} spellings · ${report[kind].clusters} clusters · ${variants} variants · ${review} to check`
+    );
+    for (const c of mapping[kind]) {
+      console.log(`  ${c.canonical} (${c.count})${c.review ? "  <- check which spelling is right" : ""}`);
+      for (const v of c.variants) console.log(`    <- ${v.term} (${v.count}, ${v.reason}) ${v.projects.join(", ")}`);
+    }
+  }
+  console.log(`\nWrote: ${mappingFile}`);
+  console.log(`Review it, set "approved": true, then re-run with --apply.`);
+  return { mapping: mappingFile, report };
+}
+
+function apply(projects, opts, mappingFile) {
+  const { json: mapping, error } = fs.existsSync(mappingFile)
+    ? readJson(mappingFile)
+    : { error: "not found, run without --apply first" };
+  if (error) {
+    console.error(`${mappingFile}: ${error}`);
+    process.exit(1);
+  }
+  if (mapping.approved !== true) {
+    console.error(`${mappingFile} is not approved yet: review it and set "approved": true.`);
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const p of projects) {
+    const out = { project: p.name, file: p.file, backup: null };
+    const before = JSON.stringify(p.json);
+    for (const kind of opts.kinds) out[kind] = TP.applyTermMapping(p.json, kind, mapping[kind]);
+    if (JSON.stringify(p.json) !== before) {
+      out.backup = backupPath(p.file);
+      fs.copyFileSync(p.file, out.backup);
+      fs.writeFileSync(p.file, JSON.stringify(p.json, null, 2), "utf8");
+    }
+    results.push(out);
+  }
+
+  console.log(`Mapping: ${mappingFile}`);
+  for (const r of results) {
+    const parts = opts.kinds.map((k) => `${k}: ${r[k].values} value(s) on ${r[k].nodes} node(s)`);
+    console.log(`- ${r.project}: ${r.backup ? parts.join(" · ") : "unchanged"}`);
+    if (r.backup) console.log(`    backup: ${path.relative(opts.cwd, r.backup)}`);
+  }
+  return { mapping: mappingFile, results };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  opts.cwd = path.resolve(opts.cwd);
+  const mappingFile = path.resolve(opts.cwd, opts.mapping || MAPPING_FILE);
+
+  let files = listProjectFiles(opts.cwd);
+  if (opts.projects.length) files = files.filter((f) => opts.projects.includes(f.name));
+  if (!files.length) {
+    console.error("No project.json found.");
+    process.exit(1);
+  }
+
+  const projects = [];
+  const errs = [];
+  for (const f of files) {
+    const { json, error } = readJson(f.file);
+    if (error) errs.push({ file: f.file, error });
+    else projects.push({ ...f, json });
+  }
+  if (errs.length) {
+    console.log("Errors:");
+    for (const e of errs) console.log(`- ${e.file}: ${e.error}`);
+    process.exit(1);
+  }
+
+  const report = opts.apply ? apply(projects, opts, mappingFile) : propose(projects, opts, mappingFile);
+
+  if (opts.json) {
+    const outPath = path.resolve(opts.cwd, opts.json);
+    fs.writeFileSync(outPath, JSON.stringify({ opts, ...report }, null, 2), "utf8");
+    console.log(`\nWrote: ${outPath}`);
+  }
+}
+
+main();
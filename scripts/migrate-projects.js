@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const path = require("path");
+const TP = require("../shared-project.js");
+
+// Upgrades every numbered project folder to the current project.json version.
+// Dry run by default: pass --apply to save (the original is kept as
+// project.json.bak_pre_v<N> next to it). --write also works.
+function parseArgs(argv) {
+  const out = {
+    cwd: process.cwd(),
+    projects: [],
+    apply: false,
+    json: null,
+  };
+  const args = [...argv];
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--cwd") out.cwd = args.shift() || out.cwd;
+    else if (a === "--project") {
+      const name = args.shift();
+      if (name) out.projects.push(name);
+    } else if (a === "--apply" || a === "--write") out.apply = true;
+    else if (a === "--json") out.json = args.shift() || null;
+  }
+  return out;
+}
+
+function migrateFolder(projectDir, projectName, opts) {
+  const file = path.join(projectDir, "project.json");
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return {
+      project: projectName,
+      file,
+      ok: false,
+      error: `JSON parse failed: ${String(e && e.message ? e.message : e)}`,
+    };
+  }
+
+  let report;
+  try {
+    report = TP.migrateProject(json);
+  } catch (e) {
+    return { project: projectName, file, ok: false, error: String(e && e.message ? e.message : e) };
+  }
+
+  const changed = report.toVersion !== report.fromVersion;
+  const out = {
+    project: projectName,
+    file,
+    ok: !report.newer,
+    fromVersion: report.fromVersion,
+    toVersion: report.toVersion,
+    applied: report.applied,
+    written: false,
+    backup: null,
+  };
+  if (report.newer) out.error = `version ${report.fromVersion} is newer than this build (${TP.PROJECT_VERSION})`;
+
+  if (opts.apply && changed) {
+    const backup = `${file}.bak_pre_v${report.toVersion}`;
+    if (!fs.existsSync(backup)) fs.copyFileSync(file, backup);
+    fs.writeFileSync(file, JSON.stringify(report.project, null, 2), "utf8");
+    out.written = true;
+    out.backup = backup;
+  }
+  return out;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const cwd = path.resolve(opts.cwd);
+
+  let projectDirs = fs
+    .readdirSync(cwd, { withFileTypes: true })
+    .filter((d) => d.isDirectory() && /^\d+_/.test(d.name))
+    .map((d) => ({ name: d.name, dir: path.join(cwd, d.name) }))
+    .sort((a, b) => a.name.localeCompare(b.name, "en"));
+  if (opts.projects.length) {
+    const wanted = new Set(opts.projects);
+    projectDirs = projectDirs.filter((p) => wanted.has(p.name));
+  }
+
+  if (!projectDirs.length) {
+    console.error("No numbered project folders found.");
+    process.exit(1);
+  }
+
+  const results = projectDirs.map((p) => migrateFolder(p.dir, p.name, opts));
+
+  console.log(`Target version: ${TP.PROJECT_VERSION}${opts.apply ? "" : " (dry run, use --apply to save)"}`);
+  for (const r of results) {
+    if (r.error && r.fromVersion == null) {
+      console.log(`- ${r.project}: ERROR ${r.error}`);
+      continue;
+    }
+    if (r.error) {
+      console.log(`- ${r.project}: skipped, ${r.error}`);
+      continue;
+    }
+    if (r.fromVersion === r.toVersion) {
+      console.log(`- ${r.project}: v${r.fromVersion}, up to date`);
+      continue;
+    }
+    const state = r.written ? "migrated" : "would migrate";
+    console.log(`- ${r.project}: ${state} v${r.fromVersion}→v${r.toVersion}`);
+    for (const a of r.applied) console.log(`    ${a.label}: ${a.count}`);
+    if (r.backup) console.log(`    backup: ${path.relative(cwd, r.backup)}`);
+  }
+
+  if (opts.json) {
+    const outPath = path.resolve(cwd, opts.json);
+    fs.writeFileSync(outPath, JSON.stringify({ opts, results }, null, 2), "utf8");
+    console.log(`\nWrote: ${outPath}`);
+  }
+
+  if (results.some((r) => !r.ok)) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,189 @@
+#!/usr/bin/env node
+/* eslint-disable no-console */
+const fs = require("fs");
+const path = require("path");
+const TP = require("../shared-project.js");
+
+// Diff two copies of a project, or three-way merge them against a common
+// ancestor (rules in shared-project.js, mergeProjects).
+//   node scripts/project-diff.js <a> <b>
+//   node scripts/project-diff.js --base <ancestor> <ours> <theirs> [--out <file>]
+// Each argument is a project.json or a project folder. Without --out the merge
+// is only reported; with --out the merged project.json is written there (a
+// project.json.bak_pre_merge backup is kept if it exists) and assets only
+// "theirs" has are copied next to it.
+function parseArgs(argv) {
+  const out = {
+    base: null,
+    inputs: [],
+    out: null,
+    json: null,
+    limit: 40,
+  };
+  const args = [...argv];
+  while (args.length) {
+    const a = args.shift();
+    if (a === "--base") out.base = args.shift() || null;
+    else if (a === "--out") out.out = args.shift() || null;
+    else if (a === "--json") out.json = args.shift() || null;
+    else if (a === "--limit") out.limit = Number(args.shift() || "40");
+    else out.inputs.push(a);
+  }
+  if (!Number.isFinite(out.limit) || out.limit < 0) out.limit = 40;
+  return out;
+}
+
+function resolveProjectFile(p) {
+  const abs = path.resolve(p);
+  if (fs.existsSync(abs) && fs.statSync(abs).isDirectory()) return path.join(abs, "project.json");
+  return abs;
+}
+
+function readProject(p) {
+  const file = resolveProjectFile(p);
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.error(`${file}: ${String(e && e.message ? e.message : e)}`);
+    process.exit(1);
+  }
+  return { file, dir: path.dirname(file), project: TP.normalizeProject(json).project };
+}
+
+// First free name: project.json.bak_pre_merge, then _2, _3...
+function backupPath(file) {
+  const base = `${file}.bak_pre_merge`;
+  let candidate = base;
+  for (let i = 2; fs.existsSync(candidate); i++) candidate = `${base}_${i}`;
+  return candidate;
+}
+
+function formatValue(v) {
+  const s = Array.isArray(v)
+    ? v.map((x) => (x && typeof x === "object" ? x.path || x.name || x.url : x)).join(", ")
+    : v == null || v === ""
+      ? "—"
+      : typeof v === "object"
+        ? Object.entries(v).map(([k, x]) => `${k}: ${x}`).join(", ")
+        : String(v);
+  const flat = s.replace(/\s+/g, " ");
+  return flat.length > 70 ? `${flat.slice(0, 69)}…` : flat || "—";
+}
+
+// Lists show what was added/removed; scalars show old -> new.
+function formatChange(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return `${formatValue(a)} -> ${formatValue(b)}`;
+  const key = (x) => JSON.stringify(x);
+  const had = new Set(a.map(key));
+  const has = new Set(b.map(key));
+  const added = b.filter((x) => !had.has(key(x)));
+  const removed = a.filter((x) => !has.has(key(x)));
+  const parts = [];
+  if (added.length) parts.push(`+ ${formatValue(added)}`);
+  if (removed.length) parts.push(`- ${formatValue(removed)}`);
+  return parts.join(" ") || "reordered";
+}
+
+const nodeLabel = (n) => `${n.id} · ${n.data?.title || "(untitled)"}`;
+
+function printDiff(diff, limit) {
+  const { nodes, edges } = diff;
+  console.log(
+    `Nodes: +${nodes.added.length} -${nodes.removed.length} ~${nodes.changed.length} · ` +
+      `Edges: +${edges.added.length} -${edges.removed.length} ~${edges.changed.length}`
+  );
+  const list = (items, fmt) => {
+    items.slice(0, limit).forEach((x) => console.log(fmt(x)));
+    if (items.length > limit) console.log(`  … ${items.length - limit} more`);
+  };
+  for (const [f, [x, y]] of Object.entries(diff.meta || {})) console.log(`  ~ meta ${f}: ${formatChange(x, y)}`);
+  list(nodes.added, (n) => `  + node ${nodeLabel(n)}`);
+  list(nodes.removed, (n) => `  - node ${nodeLabel(n)}`);
+  list(nodes.changed, (c) =>
+    [`  ~ node ${c.id} · ${c.title || "(untitled)"}`]
+      .concat(Object.entries(c.fields).map(([f, [a, b]]) => `      ${f}: ${formatChange(a, b)}`))
+      .join("\n")
+  );
+  list(edges.added, (e) => `  + edge ${e.s} -> ${e.t}${e.type ? ` [${e.type}]` : ""}${e.dashed ? " (weak)" : ""}`);
+  list(edges.removed, (e) => `  - edge ${e.s} -> ${e.t}${e.dashed ? " (weak)" : ""}`);
+  list(edges.changed, (e) =>
+    [`  ~ edge ${e.s} -> ${e.t}${e.dashed ? " (weak)" : ""}`]
+      .concat(Object.entries(e.fields).map(([f, [a, b]]) => `      ${f === "dashed" ? "weak" : f}: ${formatChange(a, b)}`))
+      .join("\n")
+  );
+}
+
+// Assets referenced by the merged project, missing next to --out, found in theirs.
+function copyTheirAssets(project, theirsDir, outDir) {
+  const copied = [];
+  for (const rel of TP.referencedAssets(project).keys()) {
+    const dest = path.join(outDir, rel);
+    const src = path.join(theirsDir, rel);
+    if (fs.existsSync(dest) || !fs.existsSync(src)) continue;
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.copyFileSync(src, dest);
+    copied.push(rel);
+  }
+  return copied;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.inputs.length !== 2) {
+    console.error("Usage: project-diff.js [--base <ancestor>] <a|ours> <b|theirs> [--out <project.json>] [--json <report>]");
+    process.exit(1);
+  }
+  const [a, b] = opts.inputs.map(readProject);
+  const report = { a: a.file, b: b.file, diff: TP.compareProjects(a.project, b.project) };
+
+  console.log(`Diff: ${a.file}\n   -> ${b.file}`);
+  printDiff(report.diff, opts.limit);
+
+  if (opts.base) {
+    const base = readProject(opts.base);
+    const merge = TP.mergeProjects(base.project, a.project, b.project);
+    report.base = base.file;
+    report.merge = { stats: merge.stats, conflicts: merge.conflicts };
+
+    const { stats, conflicts } = merge;
+    console.log(`\nMerge against ${base.file}`);
+    console.log(
+      `Nodes: ${stats.kept} kept, ${stats.merged} merged, ${stats.added} added from theirs, ${stats.removed} removed · Conflicts: ${conflicts.length}`
+    );
+    for (const c of conflicts.slice(0, opts.limit)) {
+      console.log(`  ! ${c.id}${c.title ? ` · ${c.title}` : ""} [${c.field}] ours: ${formatValue(c.ours)} | theirs: ${formatValue(c.theirs)}`);
+    }
+    if (conflicts.length > opts.limit) console.log(`  … ${conflicts.length - opts.limit} more`);
+
+    if (opts.out) {
+      const outFile = resolveProjectFile(opts.out);
+      fs.mkdirSync(path.dirname(outFile), { recursive: true });
+      if (fs.existsSync(outFile)) {
+        report.backup = backupPath(outFile);
+        fs.copyFileSync(outFile, report.backup);
+      }
+      fs.writeFileSync(outFile, JSON.stringify(merge.project, null, 2), "utf8");
+      report.out = outFile;
+      report.copiedAssets = copyTheirAssets(merge.project, b.dir, path.dirname(outFile));
+      console.log(`\nWrote: ${outFile}${report.backup ? ` (backup: ${path.basename(report.backup)})` : ""}`);
+      if (report.copiedAssets.length) console.log(`Copied ${report.copiedAssets.length} asset(s) from theirs.`);
+      if (conflicts.length) console.log(`Conflicting titles/descriptions carry <<<<<<< ours / >>>>>>> theirs markers.`);
+    } else {
+      console.log(`\nNothing written. Pass --out <project.json> to save the merge.`);
+    }
+  } else if (opts.out) {
+    console.error("--out needs --base (three-way merge).");
+    process.exit(1);
+  }
+
+  if (opts.json) {
+    const outPath = path.resolve(opts.json);
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2), "utf8");
+    console.log(`\nWrote: ${outPath}`);
+  }
+
+  if (report.merge?.conflicts.length) process.exitCode = 2;
+}
+
+main();
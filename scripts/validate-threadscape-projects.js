@@ -2,6 +2,26 @@
 /* eslint-disable no-console */
 const fs = require("fs");
 const path = require("path");
+const TP = require("../shared-project.js");
+
+const USAGE = `Usage: node scripts/validate-threadscape-projects.js [options]
+Checks every numbered project folder (dates, edges, assets, meta, types,
+macro areas, links) and prints a summary.
+  --cwd <dir>                     folder holding the projects (default: .)
+  --json <file>                   also write the full report as JSON
+  --span-years-warn <n>           flag projects spanning more years (20)
+  --future-days-warn <n>          dates this far in the future are flagged (14)
+  --past-year-warn <year>         dates before this year are flagged (1990)
+  --max-missing-assets-to-list <n> (20)
+  --fix [--only <rules>] [--apply] repair what the rules below can; dry run without --apply
+  --diff-limit <n>                changes shown per project with --fix (40)
+  --prune [--apply]               move unreferenced assets to _quarantine/
+  --top-nodes <n>                 heaviest nodes listed per project (3)
+  --max-orphans-to-list <n>       (10)
+Fix rules: ${TP.FIX_RULES.join(", ")}
+Action: "Exploring" and "Making" are the canonical spellings. actionWeirdCase
+flags other spellings of those two (case, spacing) and --fix rewrites them;
+other text only has its spacing tidied, and an empty action counts as missing.`;
 
 function parseArgs(argv) {
   const out = {
@@ -11,17 +31,46 @@ function parseArgs(argv) {
     futureDaysWarn: 14,
     pastYearWarn: 1990,
     maxMissingAssetsToList: 20,
+    // --fix: dry run unless --apply is also given.
+    fix: false,
+    apply: false,
+    only: null,
+    diffLimit: 40,
+    // --prune: moves unreferenced assets/ files to _quarantine/ (dry run unless --apply).
+    prune: false,
+    topNodes: 3,
+    maxOrphansToList: 10,
   };
   const args = [...argv];
   while (args.length) {
     const a = args.shift();
-    if (a === "--cwd") out.cwd = args.shift() || out.cwd;
+    if (a === "--help" || a === "-h") {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (a === "--cwd") out.cwd = args.shift() || out.cwd;
     else if (a === "--json") out.json = args.shift() || null;
     else if (a === "--span-years-warn") out.spanYearsWarn = Number(args.shift() || "20");
     else if (a === "--future-days-warn") out.futureDaysWarn = Number(args.shift() || "14");
     else if (a === "--past-year-warn") out.pastYearWarn = Number(args.shift() || "1990");
     else if (a === "--max-missing-assets-to-list")
       out.maxMissingAssetsToList = Number(args.shift() || "20");
+    else if (a === "--fix") out.fix = true;
+    else if (a === "--apply") out.apply = true;
+    else if (a === "--only") out.only = String(args.shift() || "").split(",").filter(Boolean);
+    else if (a === "--diff-limit") out.diffLimit = Number(args.shift() || "40");
+    else if (a === "--prune") out.prune = true;
+    else if (a === "--top-nodes") out.topNodes = Number(args.shift() || "3");
+    else if (a === "--max-orphans-to-list") out.maxOrphansToList = Number(args.shift() || "10");
+  }
+  if (!Number.isFinite(out.topNodes) || out.topNodes < 0) out.topNodes = 3;
+  if (!Number.isFinite(out.maxOrphansToList) || out.maxOrphansToList < 0) out.maxOrphansToList = 10;
+  if (!Number.isFinite(out.diffLimit) || out.diffLimit < 0) out.diffLimit = 40;
+  if (out.only) {
+    const unknown = out.only.filter((r) => !TP.FIX_RULES.includes(r));
+    if (unknown.length) {
+      console.error(`Unknown --only rule(s): ${unknown.join(", ")}. Fixable: ${TP.FIX_RULES.join(", ")}`);
+      process.exit(1);
+    }
   }
   if (!Number.isFinite(out.spanYearsWarn) || out.spanYearsWarn < 1) out.spanYearsWarn = 20;
   if (!Number.isFinite(out.futureDaysWarn) || out.futureDaysWarn < 0) out.futureDaysWarn = 14;
@@ -31,216 +80,185 @@ function parseArgs(argv) {
   return out;
 }
 
-function parseDate(dateStr) {
-  if (!dateStr || typeof dateStr !== "string") return null;
-  const d = new Date(`${dateStr}T00:00:00`);
-  if (Number.isNaN(d.getTime())) return null;
-  return d;
+function formatBytes(n) {
+  if (!Number.isFinite(n) || n <= 0) return "0 B";
+  const units = ["B", "KB", "MB", "GB"];
+  let v = n;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i += 1;
+  }
+  return `${v.toFixed(i ? 1 : 0)} ${units[i]}`;
+}
+
+// Every file under <project>/assets/, relative to the project folder.
+function listAssetFiles(projectDir) {
+  const out = [];
+  const walk = (rel) => {
+    const abs = path.join(projectDir, rel);
+    if (!fs.existsSync(abs)) return;
+    for (const d of fs.readdirSync(abs, { withFileTypes: true })) {
+      if (d.name === ".DS_Store") continue;
+      const childRel = `${rel}/${d.name}`;
+      if (d.isDirectory()) walk(childRel);
+      else if (d.isFile()) out.push({ path: childRel, size: fs.statSync(path.join(projectDir, childRel)).size });
+    }
+  };
+  walk("assets");
+  return out.sort((a, b) => a.path.localeCompare(b.path, "en"));
 }
 
-function isFiniteNum(x) {
-  return typeof x === "number" && Number.isFinite(x);
+// Orphaned assets (on disk, referenced by no node) and per-node asset weight.
+function scanDisk(projectDir, json, opts) {
+  const refs = TP.referencedAssets(json);
+  const files = listAssetFiles(projectDir);
+  const sizeByPath = new Map(files.map((f) => [f.path, f.size]));
+  const orphans = files.filter((f) => !refs.has(f.path)).sort((a, b) => b.size - a.size);
+
+  const nodeWeights = [];
+  for (const n of json.nodes || []) {
+    const seen = new Set();
+    let bytes = 0;
+    for (const f of Array.isArray(n?.data?.files) ? n.data.files : []) {
+      const p = TP.normalizeAssetPath(f?.path);
+      if (!p || seen.has(p) || !sizeByPath.has(p)) continue;
+      seen.add(p);
+      bytes += sizeByPath.get(p);
+    }
+    if (bytes) nodeWeights.push({ id: String(n.id || ""), title: String(n.data?.title || ""), files: seen.size, bytes });
+  }
+  nodeWeights.sort((a, b) => b.bytes - a.bytes);
+
+  const sum = (list) => list.reduce((a, f) => a + f.size, 0);
+  return {
+    assetFiles: files.length,
+    assetBytes: sum(files),
+    referencedBytes: sum(files.filter((f) => refs.has(f.path))),
+    orphanFiles: orphans.length,
+    orphanBytes: sum(orphans),
+    orphans,
+    heaviestNodes: nodeWeights.slice(0, opts.topNodes),
+    nodesWithAssets: nodeWeights.length,
+  };
 }
 
-function normalizeAction(action) {
-  const txt = String(action || "").trim().toLowerCase();
-  if (txt === "exploring") return "exploring";
-  if (txt === "making") return "making";
-  if (!txt) return "missing";
-  return "other";
+// Moves orphans to <project>/_quarantine/<same relative path>, never overwriting.
+function pruneOrphans(projectDir, orphans) {
+  const moved = [];
+  for (const o of orphans) {
+    let dest = path.join(projectDir, "_quarantine", o.path);
+    const ext = path.extname(dest);
+    const stem = dest.slice(0, dest.length - ext.length);
+    for (let i = 2; fs.existsSync(dest); i++) dest = `${stem}_${i}${ext}`;
+    fs.mkdirSync(path.dirname(dest), { recursive: true });
+    fs.renameSync(path.join(projectDir, o.path), dest);
+    moved.push({ from: o.path, to: path.relative(projectDir, dest).split(path.sep).join("/") });
+  }
+  return moved;
 }
 
-function guessExt(p) {
-  const ext = path.extname(String(p || "")).toLowerCase().replace(/^\./, "");
-  return ext || "";
+// Folder name, plus the meta title when it says something the folder does not.
+function projectLabel(r) {
+  const title = r.meta?.title || "";
+  return title && title !== TP.folderTitle(r.project) ? `${r.project} "${title}"` : r.project;
 }
 
 function validateProject(projectDir, projectName, opts) {
   const file = path.join(projectDir, "project.json");
-  const out = {
-    project: projectName,
-    file,
-    ok: true,
-    version: null,
-    counts: {
-      nodes: 0,
-      edges: 0,
-      actions: { exploring: 0, making: 0, other: 0, missing: 0 },
-    },
-    dates: {
-      invalid: 0,
-      missing: 0,
-      min: "",
-      max: "",
-      spanDays: null,
-      outOfRange: 0,
-      future: 0,
-    },
-    schema: {
-      nodesNotArray: false,
-      edgesNotArray: false,
-      nodeIdMissing: 0,
-      nodeIdDuplicates: 0,
-      edgeMissingRefs: 0,
-      edgeSelfLoops: 0,
-      edgeDuplicates: 0,
-      nodeGeometryInvalid: 0,
-      areasNotArray: 0,
-      filesNotArray: 0,
-      legacyMainAreasFields: 0,
-      actionWeirdCase: 0,
-    },
-    assets: {
-      fileEntries: 0,
-      missing: 0,
-      missingExamples: [],
-      typeExtMismatch: 0,
-      typeExtMismatchExamples: [],
-      pathNotAssetsPrefix: 0,
-    },
-  };
 
   let json;
   try {
     json = JSON.parse(fs.readFileSync(file, "utf8"));
   } catch (e) {
-    out.ok = false;
-    out.error = `JSON parse failed: ${String(e && e.message ? e.message : e)}`;
-    return out;
-  }
-
-  out.version = json && typeof json.version === "number" ? json.version : null;
-  const nodes = Array.isArray(json.nodes) ? json.nodes : null;
-  const edges = Array.isArray(json.edges) ? json.edges : null;
-  if (!nodes) out.schema.nodesNotArray = true;
-  if (!edges) out.schema.edgesNotArray = true;
-  if (!nodes || !edges) {
-    out.ok = false;
-    out.counts.nodes = nodes ? nodes.length : 0;
-    out.counts.edges = edges ? edges.length : 0;
-    return out;
+    return {
+      project: projectName,
+      file,
+      ...TP.validateProject({ nodes: [], edges: [] }, opts),
+      disk: null,
+      ok: false,
+      error: `JSON parse failed: ${String(e && e.message ? e.message : e)}`,
+    };
   }
 
-  out.counts.nodes = nodes.length;
-  out.counts.edges = edges.length;
-
-  const idSet = new Set();
-  const dupIds = new Set();
-
-  const now = new Date();
-  const futureCutoff = new Date(now.getTime() + opts.futureDaysWarn * 86400000);
-
-  let minDate = null;
-  let maxDate = null;
-
-  for (const n of nodes) {
-    const id = n && typeof n.id === "string" ? n.id : "";
-    if (!id) out.schema.nodeIdMissing += 1;
-    else if (idSet.has(id)) dupIds.add(id);
-    else idSet.add(id);
-
-    if (!isFiniteNum(n?.x) || !isFiniteNum(n?.y) || !isFiniteNum(n?.w) || !isFiniteNum(n?.h)) {
-      out.schema.nodeGeometryInvalid += 1;
-    }
-
-    const data = n?.data || {};
+  const report = TP.validateProject(json, {
+    ...opts,
+    projectName,
+    assetExists: (p) => fs.existsSync(path.join(projectDir, p)),
+  });
+  return { project: projectName, file, ...report, disk: scanDisk(projectDir, json, opts) };
+}
 
-    if (data && (Object.hasOwn(data, "mainAreas") || Object.hasOwn(data, "mainArea") || Object.hasOwn(data, "mainarea"))) {
-      out.schema.legacyMainAreasFields += 1;
-    }
+// First free name: project.json.bak_pre_fix, then _2, _3...
+function backupPath(file, tag) {
+  const base = `${file}.bak_pre_${tag}`;
+  let candidate = base;
+  for (let i = 2; fs.existsSync(candidate); i++) candidate = `${base}_${i}`;
+  return candidate;
+}
 
-    const actionRaw = data?.action;
-    if (typeof actionRaw === "string" && actionRaw !== actionRaw.toLowerCase()) out.schema.actionWeirdCase += 1;
-    const action = normalizeAction(actionRaw);
-    out.counts.actions[action] = (out.counts.actions[action] || 0) + 1;
-
-    const dateStr = data?.date;
-    if (!dateStr) {
-      out.dates.missing += 1;
-    } else {
-      const d = parseDate(dateStr);
-      if (!d) {
-        out.dates.invalid += 1;
-      } else {
-        if (!minDate || d < minDate) minDate = d;
-        if (!maxDate || d > maxDate) maxDate = d;
-        if (d.getFullYear() < opts.pastYearWarn) out.dates.outOfRange += 1;
-        if (d > futureCutoff) out.dates.future += 1;
-      }
-    }
+function formatValue(v) {
+  if (v === undefined) return "∅";
+  const s = JSON.stringify(v);
+  return s.length > 80 ? `${s.slice(0, 77)}...` : s;
+}
 
-    const areas = data?.areas;
-    if (areas != null && !Array.isArray(areas)) out.schema.areasNotArray += 1;
-
-    const files = data?.files;
-    if (files != null && !Array.isArray(files)) {
-      out.schema.filesNotArray += 1;
-    } else if (Array.isArray(files)) {
-      for (const f of files) {
-        out.assets.fileEntries += 1;
-        const p = f?.path;
-        if (!p || typeof p !== "string") continue;
-
-        if (!p.startsWith("assets/")) out.assets.pathNotAssetsPrefix += 1;
-        const abs = path.join(projectDir, p);
-        if (!fs.existsSync(abs)) {
-          out.assets.missing += 1;
-          if (out.assets.missingExamples.length < opts.maxMissingAssetsToList) {
-            out.assets.missingExamples.push(`${projectName}/${p}`);
-          }
-        }
-
-        // Loose mismatch checks: type says png but file is jpg, etc.
-        const type = String(f?.type || "");
-        const ext = guessExt(p);
-        if (type.includes("image/") && ext) {
-          const subtype = type.split("image/")[1] || "";
-          const normSubtype = subtype.split(";")[0].trim().toLowerCase();
-          if (normSubtype && !normSubtype.includes(ext) && !(normSubtype === "jpeg" && ext === "jpg")) {
-            out.assets.typeExtMismatch += 1;
-            if (out.assets.typeExtMismatchExamples.length < 10) {
-              out.assets.typeExtMismatchExamples.push(`${projectName}/${p} (type=${type})`);
-            }
-          }
-        }
-      }
-    }
+function formatChange(c) {
+  if (c.target === "edge") {
+    return `  - edge ${c.id}${c.old?.dashed ? " (dashed)" : ""} [${c.rule}]`;
   }
+  const title = c.title ? ` "${c.title.length > 40 ? `${c.title.slice(0, 37)}...` : c.title}"` : "";
+  if (c.next === undefined) return `  - node ${c.id}${title} ${c.field}: ${formatValue(c.old)} [${c.rule}]`;
+  return `  ~ node ${c.id}${title} ${c.field}: ${formatValue(c.old)} -> ${formatValue(c.next)} [${c.rule}]`;
+}
 
-  out.schema.nodeIdDuplicates = dupIds.size;
-
-  if (minDate && maxDate) {
-    out.dates.min = minDate.toISOString().slice(0, 10);
-    out.dates.max = maxDate.toISOString().slice(0, 10);
-    out.dates.spanDays = (maxDate.getTime() - minDate.getTime()) / 86400000;
-    const spanYears = out.dates.spanDays / 365;
-    if (Number.isFinite(spanYears) && spanYears > opts.spanYearsWarn) out.ok = false;
+function fixProjectFile(projectDir, projectName, opts) {
+  const file = path.join(projectDir, "project.json");
+  let json;
+  try {
+    json = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return { project: projectName, file, changes: [], error: `JSON parse failed: ${String(e && e.message ? e.message : e)}` };
   }
 
-  // Edge validation
-  const edgeKeySet = new Set();
-  for (const e of edges) {
-    const s = e && typeof e.s === "string" ? e.s : "";
-    const t = e && typeof e.t === "string" ? e.t : "";
-    if (!s || !t || !idSet.has(s) || !idSet.has(t)) out.schema.edgeMissingRefs += 1;
-    if (s && t && s === t) out.schema.edgeSelfLoops += 1;
-    const k = `${s}→${t}${e?.dashed ? "|d" : ""}`;
-    if (edgeKeySet.has(k)) out.schema.edgeDuplicates += 1;
-    else edgeKeySet.add(k);
+  const { project, changes } = TP.fixProject(json, {
+    rules: opts.only || TP.FIX_RULES,
+    assetExists: (p) => fs.existsSync(path.join(projectDir, p)),
+  });
+  const out = { project: projectName, file, changes, backup: null };
+  if (opts.apply && changes.length) {
+    out.backup = backupPath(file, "fix");
+    fs.copyFileSync(file, out.backup);
+    fs.writeFileSync(file, JSON.stringify(project, null, 2), "utf8");
   }
+  return out;
+}
 
-  // Mark as not-ok if structural issues exist.
-  if (
-    out.schema.nodesNotArray ||
-    out.schema.edgesNotArray ||
-    out.schema.nodeIdMissing ||
-    out.schema.nodeGeometryInvalid ||
-    out.schema.edgeMissingRefs
-  ) {
-    out.ok = false;
+function runFix(projectDirs, opts, cwd) {
+  const results = projectDirs.map((p) => fixProjectFile(p.dir, p.name, opts));
+  const changed = results.filter((r) => r.changes.length);
+  const errs = results.filter((r) => r.error);
+
+  console.log(`Mode: ${opts.apply ? "APPLY" : "DRY-RUN (add --apply to write)"}`);
+  console.log(`Rules: ${(opts.only || TP.FIX_RULES).join(", ")}`);
+  console.log(`Files scanned: ${results.length} · Files changed: ${changed.length}`);
+  for (const r of changed) {
+    const byRule = {};
+    for (const c of r.changes) byRule[c.rule] = (byRule[c.rule] || 0) + 1;
+    const summary = Object.entries(byRule)
+      .map(([rule, n]) => `${rule}=${n}`)
+      .join(" · ");
+    console.log(`\n--- ${path.relative(cwd, r.file) || r.file}: ${r.changes.length} changes (${summary})`);
+    const shown = opts.diffLimit ? r.changes.slice(0, opts.diffLimit) : r.changes;
+    shown.forEach((c) => console.log(formatChange(c)));
+    if (shown.length < r.changes.length) console.log(`  ... ${r.changes.length - shown.length} more (--diff-limit 0 shows all)`);
+    if (r.backup) console.log(`  backup: ${path.relative(cwd, r.backup)}`);
+  }
+  if (errs.length) {
+    console.log("\nErrors:");
+    for (const r of errs) console.log(`- ${r.file}: ${r.error}`);
+    process.exit(1);
   }
-
-  return out;
 }
 
 function main() {
@@ -258,7 +276,40 @@ function main() {
     process.exit(1);
   }
 
+  if (opts.fix) {
+    runFix(projectDirs, opts, cwd);
+    return;
+  }
+
+  // Workspace-wide macro-area mapping, read under each project's own block.
+  const macrosFile = path.join(cwd, TP.MACRO_AREAS_FILE);
+  if (fs.existsSync(macrosFile)) {
+    try {
+      opts.workspaceMacros = JSON.parse(fs.readFileSync(macrosFile, "utf8"));
+    } catch (e) {
+      console.error(`${macrosFile}: ${String(e && e.message ? e.message : e)}`);
+      process.exit(1);
+    }
+  }
+
+  // Node ids of every project, so a "project:id" edge end can be checked.
+  const workspace = projectDirs.map((p) => {
+    try {
+      return { name: p.name, project: JSON.parse(fs.readFileSync(path.join(p.dir, "project.json"), "utf8")) };
+    } catch {
+      return { name: p.name, project: null };
+    }
+  });
+  const nodeIds = new Map(
+    workspace.map((w) => [w.name, new Set((Array.isArray(w.project?.nodes) ? w.project.nodes : []).map((n) => String(n?.id)))])
+  );
+  opts.resolveRef = (ref) => {
+    const { project, id } = TP.parseNodeRef(ref);
+    return !!nodeIds.get(project)?.has(id);
+  };
+
   const results = projectDirs.map((p) => validateProject(p.dir, p.name, opts));
+  const combined = TP.combineWorkspace(workspace.filter((w) => w.project));
 
   const totals = {
     projects: results.length,
@@ -270,11 +321,33 @@ function main() {
     missingDates: results.reduce((a, r) => a + (r.dates?.missing || 0), 0),
     missingAssets: results.reduce((a, r) => a + (r.assets?.missing || 0), 0),
     edgeMissingRefs: results.reduce((a, r) => a + (r.schema?.edgeMissingRefs || 0), 0),
+    crossEdges: results.reduce((a, r) => a + (r.crossRefs?.edges || 0), 0),
+    brokenCrossRefs: results.reduce((a, r) => a + (r.crossRefs?.unresolved || 0), 0),
+    actionCase: results.reduce((a, r) => a + (r.schema?.actionWeirdCase || 0), 0),
     dupNodeIds: results.reduce((a, r) => a + (r.schema?.nodeIdDuplicates || 0), 0),
+    versionOutdated: results.filter((r) => r.schema?.versionOutdated).length,
+    metaUntitled: results.filter((r) => r.meta?.missing.includes("title")).length,
+    metaNoAuthors: results.filter((r) => r.meta?.missing.includes("authors")).length,
+    metaNoCourse: results.filter((r) => r.meta?.missing.includes("course")).length,
+    outsideSpan: results.reduce((a, r) => a + (r.meta?.outsideSpan || 0), 0),
+    undeclaredTypes: results.reduce((a, r) => a + (r.types?.undeclared || 0), 0),
+    missingTypeFields: results.reduce((a, r) => a + (r.types?.missingRequired || 0), 0),
+    unmappedAreas: results.reduce((a, r) => a + (r.macros?.unmapped || 0), 0),
+    unmappedNodes: results.reduce((a, r) => a + (r.macros?.unmappedNodes || 0), 0),
+    links: results.reduce((a, r) => a + (r.links?.entries || 0), 0),
+    unsplitLinks: results.reduce((a, r) => a + (r.links?.unsplit || 0), 0),
+    malformedLinks: results.reduce((a, r) => a + (r.links?.malformed || 0), 0),
+    duplicateLinks: results.reduce((a, r) => a + (r.links?.duplicates || 0), 0),
+    assetBytes: results.reduce((a, r) => a + (r.disk?.assetBytes || 0), 0),
+    orphanFiles: results.reduce((a, r) => a + (r.disk?.orphanFiles || 0), 0),
+    orphanBytes: results.reduce((a, r) => a + (r.disk?.orphanBytes || 0), 0),
   };
 
   console.log(`Projects: ${totals.projects} (ok=${totals.ok}, flagged=${totals.notOk})`);
   console.log(`Total nodes: ${totals.nodes} · Total edges: ${totals.edges}`);
+  console.log(
+    `Actions: case/spacing to fix=${totals.actionCase} (canonical "Exploring" / "Making"; empty counts as missing)`
+  );
   console.log(
     `Dates: missing=${totals.missingDates} · invalid=${totals.invalidDates} · future>${opts.futureDaysWarn}d=${results.reduce(
       (a, r) => a + (r.dates?.future || 0),
@@ -285,7 +358,14 @@ function main() {
     `Edges: missingRefs=${totals.edgeMissingRefs} · selfLoops=${results.reduce(
       (a, r) => a + (r.schema?.edgeSelfLoops || 0),
       0
-    )} · duplicates=${results.reduce((a, r) => a + (r.schema?.edgeDuplicates || 0), 0)}`
+    )} · duplicates=${results.reduce((a, r) => a + (r.schema?.edgeDuplicates || 0), 0)} · cross-project=${
+      totals.crossEdges
+    } (broken=${totals.brokenCrossRefs})`
+  );
+  console.log(
+    `Workspace: ${combined.stats.nodes} nodes combined · shared roots=${combined.stats.sharedNodes} (${
+      combined.stats.mergedCopies
+    } copies merged)`
   );
   console.log(
     `Assets: fileEntries=${results.reduce((a, r) => a + (r.assets?.fileEntries || 0), 0)} · missing=${totals.missingAssets} · type/ext mismatches=${results.reduce(
@@ -299,41 +379,105 @@ function main() {
       0
     )} · geometryInvalid=${results.reduce((a, r) => a + (r.schema?.nodeGeometryInvalid || 0), 0)}`
   );
+  console.log(
+    `Disk: assets=${results.reduce((a, r) => a + (r.disk?.assetFiles || 0), 0)} files (${formatBytes(
+      totals.assetBytes
+    )}) · orphaned=${totals.orphanFiles} (${formatBytes(totals.orphanBytes)})`
+  );
+  console.log(
+    `Meta: untitled=${totals.metaUntitled} · noAuthors=${totals.metaNoAuthors} · noCourse=${totals.metaNoCourse} · node dates outside start/end=${totals.outsideSpan}`
+  );
+  console.log(
+    `Types: nodes with undeclared type=${totals.undeclaredTypes} · nodes missing required type fields=${totals.missingTypeFields}`
+  );
+  console.log(
+    `Macro areas: unmapped areas (per project)=${totals.unmappedAreas} · nodes without a macro=${totals.unmappedNodes}${
+      opts.workspaceMacros ? ` · workspace mapping: ${TP.MACRO_AREAS_FILE}` : ""
+    }`
+  );
+  console.log(
+    `Links: entries=${totals.links} · multi-URL entries to split=${totals.unsplitLinks} · malformed URLs=${totals.malformedLinks} · URLs on several nodes=${totals.duplicateLinks}`
+  );
+  if (totals.versionOutdated) {
+    console.log(
+      `Format: ${totals.versionOutdated} project(s) older than v${TP.PROJECT_VERSION} (run scripts/migrate-projects.js)`
+    );
+  }
 
   const interesting = results.filter(
     (r) =>
       !r.ok ||
       (r.dates?.spanDays != null && r.dates.spanDays / 365 > opts.spanYearsWarn) ||
       r.schema.edgeMissingRefs ||
-      r.assets.missing
+      r.schema.actionWeirdCase ||
+      r.crossRefs.unresolved ||
+      r.assets.missing ||
+      r.meta.invalidDates.length ||
+      r.meta.endBeforeStart ||
+      r.meta.outsideSpan ||
+      r.types.undeclared ||
+      r.links.malformed
   );
   if (interesting.length) {
     console.log("\nFlagged per-project (non-zero issues):");
     for (const r of interesting) {
       const span = r.dates?.spanDays != null ? `${Math.round(r.dates.spanDays / 365)}y` : "-";
-      const parts = [];
-      if (r.schema.edgeMissingRefs) parts.push(`edgeMissingRefs=${r.schema.edgeMissingRefs}`);
-      if (r.schema.edgeSelfLoops) parts.push(`selfLoops=${r.schema.edgeSelfLoops}`);
-      if (r.schema.edgeDuplicates) parts.push(`edgeDup=${r.schema.edgeDuplicates}`);
-      if (r.schema.nodeIdDuplicates) parts.push(`dupNodeIds=${r.schema.nodeIdDuplicates}`);
-      if (r.schema.nodeIdMissing) parts.push(`missingNodeId=${r.schema.nodeIdMissing}`);
-      if (r.schema.nodeGeometryInvalid) parts.push(`badGeom=${r.schema.nodeGeometryInvalid}`);
-      if (r.dates.invalid) parts.push(`invalidDates=${r.dates.invalid}`);
-      if (r.dates.future) parts.push(`futureDates=${r.dates.future}`);
-      if (r.assets.missing) parts.push(`missingAssets=${r.assets.missing}`);
-      if (r.assets.typeExtMismatch) parts.push(`typeExtMismatch=${r.assets.typeExtMismatch}`);
-      if (r.schema.legacyMainAreasFields) parts.push(`legacyMainAreas=${r.schema.legacyMainAreasFields}`);
-      if (r.schema.actionWeirdCase) parts.push(`actionCase=${r.schema.actionWeirdCase}`);
-      console.log(`- ${r.project}: span=${span}${parts.length ? " · " + parts.join(" · ") : ""}`);
+      const parts = TP.validationFlags(r);
+      console.log(`- ${projectLabel(r)}: span=${span}${parts.length ? " · " + parts.join(" · ") : ""}`);
       if (r.assets.missingExamples.length) {
         console.log(`  missing examples: ${r.assets.missingExamples.slice(0, 5).join(", ")}${r.assets.missingExamples.length > 5 ? ", ..." : ""}`);
       }
+      if (r.crossRefs.unresolvedExamples.length) {
+        console.log(`  broken cross-project edges: ${r.crossRefs.unresolvedExamples.slice(0, 5).join(", ")}`);
+      }
+      if (r.types.undeclaredExamples.length) {
+        console.log(`  undeclared types: ${r.types.undeclaredExamples.join(", ")}`);
+      }
+      if (r.links.malformedExamples.length) {
+        console.log(`  malformed links: ${r.links.malformedExamples.slice(0, 5).join(", ")}${r.links.malformedExamples.length > 5 ? ", ..." : ""}`);
+      }
+      if (r.links.duplicateExamples.length) {
+        console.log(`  links on several nodes: ${r.links.duplicateExamples.slice(0, 3).join(", ")}${r.links.duplicates > 3 ? ", ..." : ""}`);
+      }
       if (r.assets.typeExtMismatchExamples.length) {
         console.log(`  type/ext mismatch examples: ${r.assets.typeExtMismatchExamples.slice(0, 3).join(", ")}${r.assets.typeExtMismatchExamples.length > 3 ? ", ..." : ""}`);
       }
     }
   }
 
+  const withDisk = results.filter((r) => r.disk && (r.disk.orphanFiles || r.disk.heaviestNodes.length));
+  if (withDisk.length) {
+    console.log("\nDisk usage per project:");
+    for (const r of withDisk) {
+      const d = r.disk;
+      console.log(
+        `- ${projectLabel(r)}: ${formatBytes(d.assetBytes)} in ${d.assetFiles} files · referenced=${formatBytes(
+          d.referencedBytes
+        )} · orphaned=${d.orphanFiles} (${formatBytes(d.orphanBytes)})`
+      );
+      const shown = d.orphans.slice(0, opts.maxOrphansToList);
+      for (const o of shown) console.log(`  orphan: ${o.path} (${formatBytes(o.size)})`);
+      if (d.orphans.length > shown.length) console.log(`  ... ${d.orphans.length - shown.length} more orphans`);
+      for (const n of d.heaviestNodes) {
+        const title = n.title ? ` "${n.title.trim()}"` : "";
+        console.log(`  heavy node: ${n.id}${title} ${formatBytes(n.bytes)} in ${n.files} file(s)`);
+      }
+    }
+  }
+
+  if (opts.prune) {
+    console.log(`\nPrune: ${opts.apply ? "APPLY" : "DRY-RUN (add --apply to move files)"}`);
+    results.forEach((r, i) => {
+      if (!r.disk?.orphans.length) return;
+      if (!opts.apply) {
+        console.log(`- ${r.project}: would move ${r.disk.orphans.length} file(s) to _quarantine/ (${formatBytes(r.disk.orphanBytes)})`);
+        return;
+      }
+      r.pruned = pruneOrphans(projectDirs[i].dir, r.disk.orphans);
+      console.log(`- ${r.project}: moved ${r.pruned.length} file(s) to _quarantine/ (${formatBytes(r.disk.orphanBytes)})`);
+    });
+  }
+
   if (opts.json) {
     const outPath = path.resolve(cwd, opts.json);
     fs.writeFileSync(outPath, JSON.stringify({ opts, totals, results }, null, 2), "utf8");
@@ -0,0 +1,4415 @@
+/* Shared project.json model used by threadscape.html, visualizer.html,
+   process-analyzer.html and the Node scripts in scripts/.
+   Browser: <script src="./shared-project.js"> → window.ThreadscapeProject
+   Node:    require("../shared-project.js") */
+(function initThreadscapeProject(root, factory) {
+  const api = factory();
+  if (typeof module === "object" && module.exports) module.exports = api;
+  else root.ThreadscapeProject = api;
+})(typeof self !== "undefined" ? self : this, function factory() {
+  const PROJECT_VERSION = 14;
+
+  const NODE_W = 320;
+  const NODE_H = 180;
+
+  // Numbered project folders of the workspace, for pages served without a
+  // folder listing (scripts/dev-server.js lists them at /api/projects).
+  const KNOWN_FOLDERS = [
+    "1_linguistic",
+    "2_media",
+    "3_cognitive",
+    "4_metric",
+    "5_symbolic",
+    "6_cultural",
+    "7_social",
+    "8_bureaucratic",
+    "9_digital",
+    "10_ecological",
+    "11_infrastructural",
+  ];
+
+  /* ---------- Dates ---------- */
+  function parseDate(dateStr) {
+    if (!dateStr || typeof dateStr !== "string") return null;
+    const d = new Date(`${dateStr}T00:00:00`);
+    if (Number.isNaN(d.getTime())) return null;
+    return d;
+  }
+
+  function formatDate(date) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) return "";
+    const mm = String(date.getMonth() + 1).padStart(2, "0");
+    const dd = String(date.getDate()).padStart(2, "0");
+    return `${String(date.getFullYear()).padStart(4, "0")}-${mm}-${dd}`;
+  }
+
+  /* ---------- Tokens / areas ---------- */
+  function collapseSpaces(value) {
+    return String(value ?? "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // Sentence case used by the editor for Type/Areas/Tags input.
+  function normalizeToken(value) {
+    const t = collapseSpaces(value);
+    if (!t) return "";
+    return t.charAt(0).toUpperCase() + t.slice(1).toLowerCase();
+  }
+
+  function normalizeTagList(tags) {
+    const seen = new Set();
+    const out = [];
+    for (const raw of Array.isArray(tags) ? tags : [tags]) {
+      const t = collapseSpaces(raw);
+      if (!t) continue;
+      const key = t.toLowerCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(t);
+    }
+    return out;
+  }
+
+  function canonicalAreaName(value) {
+    const txt = collapseSpaces(value);
+    if (!txt) return "";
+    const low = txt.toLowerCase();
+    if (low === "speculative" || low === "speculative design")
+      return "Speculative Design";
+    if (low === "communication" || low === "communication design")
+      return "Communication Design";
+    if (low === "interaction" || low === "interaction design")
+      return "Interaction Design";
+    return txt;
+  }
+
+  function areaDedupeKey(value) {
+    return canonicalAreaName(value)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim()
+      .replace(/\s+/g, " ");
+  }
+
+  // Areas + legacy mainAreas/mainArea/mainarea, canonicalised and de-duplicated.
+  function normalizeAreaList(areas, legacyMain = null) {
+    const seen = new Set();
+    const out = [];
+    const push = (raw) => {
+      const mapped = canonicalAreaName(raw);
+      if (!mapped) return;
+      const key = areaDedupeKey(mapped);
+      if (!key || seen.has(key)) return;
+      seen.add(key);
+      out.push(mapped);
+    };
+    const apply = (val) => {
+      if (val == null) return;
+      if (Array.isArray(val)) val.forEach(push);
+      else push(val);
+    };
+    apply(areas);
+    apply(legacyMain);
+    return out;
+  }
+
+  function legacyMainAreas(data) {
+    const d = data || {};
+    return [
+      ...(Array.isArray(d.mainAreas) ? d.mainAreas : [d.mainAreas]),
+      d.mainArea,
+      d.mainarea,
+    ].filter((v) => v != null);
+  }
+
+  function hasLegacyMainAreas(data) {
+    if (!data || typeof data !== "object") return false;
+    return (
+      Object.hasOwn(data, "mainAreas") ||
+      Object.hasOwn(data, "mainArea") ||
+      Object.hasOwn(data, "mainarea")
+    );
+  }
+
+  /* ---------- Macro areas ---------- */
+  // project.macros: the macro areas a project reads its areas through, each
+  // listing the areas assigned to it ({ id, label, color, areas }). An area
+  // no macro lists is unmapped; nothing is guessed from its spelling (older
+  // files without the block get a list seeded once, see legacyMacros). A
+  // workspace can share one mapping in macro-areas.json ({ "macros": [...] },
+  // next to the project folders); the project's own assignments win.
+  const MACRO_AREAS_FILE = "macro-areas.json";
+  const DEFAULT_MACROS = [
+    { id: "speculative", label: "Speculative", color: "#f08b3d", areas: ["Speculative Design"] },
+    { id: "communication", label: "Communication", color: "#1f7dd3", areas: ["Communication Design"] },
+    { id: "interaction", label: "Interaction", color: "#2f935c", areas: ["Interaction Design"] },
+  ];
+  const MACROS = DEFAULT_MACROS.map((m) => m.id);
+  // The spelling rules the views classified with before project.macros (v12):
+  // an area containing one of these went to that macro, the first match wins.
+  // Kept only to turn them into an explicit list for files without the block.
+  const LEGACY_MACRO_RULES = [
+    ["speculative", /specul/i],
+    ["communication", /comunic|communicat/i],
+    ["interaction", /inter/i],
+  ];
+  // Buckets for nodes that no single macro explains; never valid macro ids.
+  const MACRO_LABELS = {
+    mixed: "Multi-area / mixed",
+    unknown: "Unmapped",
+  };
+
+  function normalizeMacro(raw, i = 0) {
+    const m = raw && typeof raw === "object" ? raw : { label: raw };
+    const id = relationIdOf(m.id) || relationIdOf(m.label) || `macro-${i + 1}`;
+    const color = String(m.color || "").trim().toLowerCase();
+    return {
+      id,
+      label: collapseSpaces(m.label || "") || id,
+      color: /^#[0-9a-f]{6}$/.test(color) ? color : GROUP_COLORS[i % GROUP_COLORS.length],
+      areas: normalizeAreaList(m.areas || []),
+    };
+  }
+
+  // Missing block → DEFAULT_MACROS. The same id twice is one macro (areas
+  // joined, first label wins); an area listed twice stays with the first.
+  function normalizeMacros(list) {
+    const out = new Map();
+    const claimed = new Set();
+    for (const raw of Array.isArray(list) ? list : DEFAULT_MACROS) {
+      const m = normalizeMacro(raw, out.size);
+      if (Object.hasOwn(MACRO_LABELS, m.id)) continue;
+      if (!out.has(m.id)) out.set(m.id, { ...m, areas: [] });
+      for (const area of m.areas) {
+        const key = areaDedupeKey(area);
+        if (claimed.has(key)) continue;
+        claimed.add(key);
+        out.get(m.id).areas.push(area);
+      }
+    }
+    return [...out.values()];
+  }
+
+  // DEFAULT_MACROS plus every area spelling of nodes that LEGACY_MACRO_RULES
+  // assigns, so an older project keeps the classification it had.
+  function legacyMacros(nodes) {
+    const areas = new Map(DEFAULT_MACROS.map((m) => [m.id, [...m.areas]]));
+    for (const n of Array.isArray(nodes) ? nodes : []) {
+      const d = n?.data || {};
+      for (const area of normalizeAreaList(d.areas, legacyMainAreas(d))) {
+        const rule = LEGACY_MACRO_RULES.find(([, re]) => re.test(area));
+        if (rule) areas.get(rule[0]).push(area);
+      }
+    }
+    return normalizeMacros(DEFAULT_MACROS.map((m) => ({ ...m, areas: areas.get(m.id) })));
+  }
+
+  // What every view classifies with: { macros, byArea: Map(areaKey → id) }.
+  // workspace is the parsed macro-areas.json (or its macros list), if any.
+  // A project without a macros block (older than v12) is read through
+  // legacyMacros, unless the workspace shares a mapping.
+  function macroMapping(project, workspace = null) {
+    const own = Array.isArray(project?.macros)
+      ? normalizeMacros(project.macros)
+      : workspace
+        ? []
+        : legacyMacros(project?.nodes);
+    const shared = workspace
+      ? normalizeMacros(Array.isArray(workspace) ? workspace : workspace.macros || [])
+      : [];
+    const macros = new Map();
+    for (const m of [...own, ...shared]) if (!macros.has(m.id)) macros.set(m.id, m);
+    const byArea = new Map();
+    for (const m of [...shared, ...own]) {
+      for (const area of m.areas) byArea.set(areaDedupeKey(area), m.id);
+    }
+    return { macros: [...macros.values()], byArea };
+  }
+
+  // Macro id of one area, or null when it is unmapped.
+  function macroOfArea(area, mapping = macroMapping(null)) {
+    return mapping.byArea.get(areaDedupeKey(area)) || null;
+  }
+
+  // { macroId: mapped areas } in mapping order.
+  function macroScores(areas, mapping = macroMapping(null)) {
+    const scores = Object.fromEntries(mapping.macros.map((m) => [m.id, 0]));
+    for (const a of Array.isArray(areas) ? areas : [areas]) {
+      const id = macroOfArea(a, mapping);
+      if (id) scores[id] += 1;
+    }
+    return scores;
+  }
+
+  // A macro id, "mixed" (top macros tied) or "unknown" (no mapped area).
+  function macroFromAreas(areas, mapping = macroMapping(null)) {
+    const entries = Object.entries(macroScores(areas, mapping));
+    const top = Math.max(0, ...entries.map((e) => e[1]));
+    if (top <= 0) return "unknown";
+    const tied = entries.filter((e) => e[1] === top);
+    return tied.length > 1 ? "mixed" : tied[0][0];
+  }
+
+  // Best-scoring macro (ties resolved in mapping order), or null.
+  function primaryMacro(areas, mapping = macroMapping(null)) {
+    const best = Object.entries(macroScores(areas, mapping)).sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    return best && best[1] > 0 ? best[0] : null;
+  }
+
+  function macroLabel(value, mapping = macroMapping(null)) {
+    const m = mapping.macros.find((x) => x.id === value);
+    return m?.label || MACRO_LABELS[value] || collapseSpaces(value) || "-";
+  }
+
+  // Rows of a per-macro table: the macros, then mixed and unknown.
+  function macroKeys(mapping = macroMapping(null)) {
+    return [...mapping.macros.map((m) => m.id), ...Object.keys(MACRO_LABELS)];
+  }
+
+  // Areas used by the nodes that no macro lists: [[area, nodes]], most used first.
+  function unmappedAreas(nodes, mapping = macroMapping(null)) {
+    const out = new Map();
+    for (const n of Array.isArray(nodes) ? nodes : []) {
+      const d = n?.data || n || {};
+      for (const area of normalizeAreaList(d.areas, legacyMainAreas(d))) {
+        if (macroOfArea(area, mapping)) continue;
+        out.set(area, (out.get(area) || 0) + 1);
+      }
+    }
+    return [...out.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  }
+
+  /* ---------- Action ---------- */
+  // "exploring" | "making" | "missing" | "other"
+  function actionKey(action) {
+    const txt = String(Array.isArray(action) ? action[0] ?? "" : action ?? "")
+      .trim()
+      .toLowerCase();
+    if (txt === "exploring") return "exploring";
+    if (txt === "making") return "making";
+    if (!txt) return "missing";
+    return "other";
+  }
+
+  // Editor form of the action value: "Exploring" | "Making" | free text | null.
+  function canonicalAction(action) {
+    const raw = Array.isArray(action) ? action[0] : action;
+    const key = actionKey(raw);
+    if (key === "exploring") return "Exploring";
+    if (key === "making") return "Making";
+    if (key === "missing") return null;
+    return collapseSpaces(raw);
+  }
+
+  /* ---------- Files ---------- */
+  function extFromPath(p) {
+    const m = String(p || "").match(/\.([a-z0-9]+)$/i);
+    return m ? m[1].toLowerCase() : "";
+  }
+
+  // "./assets/a.png" and "assets\\a.png" both become "assets/a.png".
+  function normalizeAssetPath(p) {
+    return String(p || "")
+      .trim()
+      .replace(/\\/g, "/")
+      .replace(/^(\.\/)+/, "");
+  }
+
+  // Map: normalised asset path → ids of the nodes whose files point at it.
+  function referencedAssets(json) {
+    const out = new Map();
+    for (const n of Array.isArray(json?.nodes) ? json.nodes : []) {
+      const files = n?.data?.files;
+      if (!Array.isArray(files)) continue;
+      for (const f of files) {
+        const p = typeof f?.path === "string" ? normalizeAssetPath(f.path) : "";
+        if (!p) continue;
+        if (!out.has(p)) out.set(p, []);
+        const ids = out.get(p);
+        const id = String(n.id || "");
+        if (!ids.includes(id)) ids.push(id);
+      }
+    }
+    return out;
+  }
+
+  function normalizeFile(raw) {
+    const f = raw && typeof raw === "object" ? raw : {};
+    const name = String(f.name || "");
+    const type = String(f.type || "");
+    const p = typeof f.path === "string" ? f.path : null;
+    const isImageType = /^image\//i.test(type);
+    const isImageName = /\.(png|jpe?g|gif|webp|bmp|svg)$/i.test(name || p || "");
+    const out = {
+      ...f,
+      name,
+      size: Number.isFinite(f.size) ? f.size : 0,
+      type,
+      isImage: !!(f.isImage || isImageType || isImageName),
+      isPDF: !!(f.isPDF || /pdf$/i.test(type) || /\.pdf$/i.test(name || p || "")),
+    };
+    if (p != null) out.path = p;
+    return out;
+  }
+
+  // Image that stands for the project (workspace home cards): the first image
+  // of the most connected node that has one, the earliest dated on ties.
+  function coverImage(json) {
+    const nodes = Array.isArray(json?.nodes) ? json.nodes : [];
+    const degree = new Map();
+    for (const e of Array.isArray(json?.edges) ? json.edges : []) {
+      for (const id of [e?.s, e?.t]) degree.set(id, (degree.get(id) || 0) + 1);
+    }
+    let best = null;
+    for (const n of nodes) {
+      const img = (Array.isArray(n?.data?.files) ? n.data.files : []).find(
+        (f) => typeof f?.path === "string" && f.path && normalizeFile(f).isImage
+      );
+      if (!img) continue;
+      const cand = { path: normalizeAssetPath(img.path), degree: degree.get(n.id) || 0, date: String(n.data.date || "") };
+      if (
+        !best ||
+        cand.degree > best.degree ||
+        (cand.degree === best.degree && cand.date && (!best.date || cand.date < best.date))
+      )
+        best = cand;
+    }
+    return best ? best.path : "";
+  }
+
+  /* ---------- Links ---------- */
+  // data.links: [{ url, title, accessed, note, kind }]. Up to v13 links were
+  // plain strings, sometimes several URLs pasted into one; a string is split
+  // into one link per URL and any other text becomes the title (a string
+  // without a URL is a bibliographic reference: title only, empty url).
+  const LINK_KINDS = ["web", "article", "paper", "video", "book", "dataset", "reference"];
+
+  // "example.com/x" → "https://example.com/x"; "" when it can't be a URL.
+  function normalizeURL(value) {
+    let u = String(value ?? "").trim();
+    if (!u) return "";
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(u)) u = `https://${u}`;
+    try {
+      const url = new URL(u);
+      return /^https?:$/.test(url.protocol) && url.hostname.includes(".") ? u : "";
+    } catch {
+      return "";
+    }
+  }
+
+  function looksLikeURL(word) {
+    return /^https?:\/\//i.test(word) || /^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}(\/\S*)?$/i.test(word);
+  }
+
+  // Kind of a link nobody filled in, from the URL alone.
+  function guessLinkKind(url) {
+    if (!url) return "reference";
+    if (/youtube\.com|youtu\.be|vimeo\.com/i.test(url)) return "video";
+    if (/\.pdf(\b|$)|arxiv\.org|doi\.org|pubmed|ncbi\.nlm\.nih\.gov/i.test(url)) return "paper";
+    return "web";
+  }
+
+  // One legacy string → links. Several URLs give one link each; the words
+  // around them become the title of a single URL, or the note of the first.
+  function splitLinkText(text) {
+    const words = collapseSpaces(text).split(" ").filter(Boolean);
+    const urls = words.filter(looksLikeURL);
+    const rest = words.filter((w) => !looksLikeURL(w)).join(" ");
+    if (!urls.length) return rest ? [{ title: rest }] : [];
+    if (urls.length === 1) return [{ url: urls[0], title: rest }];
+    return urls.map((url, i) => ({ url, note: i === 0 ? rest : "" }));
+  }
+
+  function normalizeLink(raw) {
+    const l = raw && typeof raw === "object" ? raw : splitLinkText(raw)[0] || {};
+    const url = collapseSpaces(l.url);
+    const kind = String(l.kind || "").trim().toLowerCase();
+    return {
+      url,
+      title: collapseSpaces(l.title || l.label),
+      accessed: typeof l.accessed === "string" ? l.accessed.trim() : "",
+      note: String(l.note || "").trim(),
+      kind: LINK_KINDS.includes(kind) ? kind : guessLinkKind(url),
+    };
+  }
+
+  // Same link: same URL up to scheme, "www.", a trailing "/" or "?", and
+  // case of the host; a link without URL by its title.
+  function linkKey(link) {
+    const l = link && typeof link === "object" ? link : { url: link };
+    const url = normalizeURL(l.url);
+    if (!url) return l.url ? `url:${collapseSpaces(l.url)}` : `ref:${foldText(collapseSpaces(l.title))}`;
+    const u = new URL(url);
+    const rest = `${u.pathname}${u.search}${u.hash}`.replace(/[/?#]+$/, "");
+    return `url:${u.hostname.toLowerCase().replace(/^www\./, "")}${rest}`;
+  }
+
+  // Any mix of strings and objects → links, multi-URL strings split and
+  // duplicates merged into the first (its empty fields filled from the rest).
+  function normalizeLinks(list) {
+    const out = new Map();
+    for (const raw of Array.isArray(list) ? list : [list]) {
+      const parts = raw && typeof raw === "object" ? [raw] : splitLinkText(raw);
+      for (const part of parts) {
+        const l = normalizeLink(part);
+        if (!l.url && !l.title) continue;
+        const key = linkKey(l);
+        const cur = out.get(key);
+        if (!cur) out.set(key, l);
+        else for (const f of ["title", "accessed", "note"]) cur[f] = cur[f] || l[f];
+      }
+    }
+    return [...out.values()];
+  }
+
+  // Links whose URL isn't one, and URLs found on more than one node.
+  // { malformed: [{ id, url }], duplicates: [{ url, ids }] }
+  function linkIssues(nodes) {
+    const malformed = [];
+    const byKey = new Map();
+    for (const n of Array.isArray(nodes) ? nodes : []) {
+      const id = String(n?.id || "");
+      for (const l of normalizeLinks(n?.data?.links ?? [])) {
+        if (!l.url) continue;
+        if (!normalizeURL(l.url)) {
+          malformed.push({ id, url: l.url });
+          continue;
+        }
+        const key = linkKey(l);
+        if (!byKey.has(key)) byKey.set(key, { url: l.url, ids: [] });
+        const ids = byKey.get(key).ids;
+        if (!ids.includes(id)) ids.push(id);
+      }
+    }
+    return { malformed, duplicates: [...byKey.values()].filter((d) => d.ids.length > 1) };
+  }
+
+  /* ---------- Bibliography ---------- */
+  // data.csl: citation data of a node (usually a Source) as a CSL-JSON item,
+  // the format Zotero, Mendeley and citeproc share. Only the variables below
+  // are kept; names are [{ family, given } | { literal }], dates
+  // { "date-parts": [[year, month, day]] }. BibTeX is read and written
+  // through the same items.
+  const CSL_TYPES = [
+    "article-journal",
+    "article-magazine",
+    "article-newspaper",
+    "paper-conference",
+    "chapter",
+    "book",
+    "report",
+    "thesis",
+    "webpage",
+    "dataset",
+    "motion_picture",
+    "manuscript",
+    "article",
+  ];
+  const CSL_TEXT_FIELDS = [
+    "title",
+    "container-title",
+    "collection-title",
+    "publisher",
+    "publisher-place",
+    "volume",
+    "issue",
+    "page",
+    "edition",
+    "DOI",
+    "ISBN",
+    "ISSN",
+    "URL",
+    "abstract",
+    "note",
+    "language",
+    "citation-key",
+  ];
+  const CSL_NAME_FIELDS = ["author", "editor"];
+  const CSL_DATE_FIELDS = ["issued", "accessed"];
+  const CITATION_STYLES = { apa: "APA 7th", chicago: "Chicago author-date" };
+
+  function cslName(raw) {
+    if (typeof raw === "string") return parseNames(raw)[0] || null;
+    const family = collapseSpaces(raw?.family);
+    const given = collapseSpaces(raw?.given);
+    const literal = collapseSpaces(raw?.literal);
+    if (family) return given ? { family, given } : { family };
+    return literal ? { literal } : null;
+  }
+
+  // 2021, "2021-03", "2021-03-04", { "date-parts": ... } or { raw } → CSL date.
+  function cslDate(raw) {
+    let parts = raw?.["date-parts"]?.[0];
+    if (!Array.isArray(parts)) {
+      const m = String(raw?.raw ?? raw ?? "").match(/(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+      parts = m ? m.slice(1) : [];
+    }
+    const nums = [];
+    for (const p of parts) {
+      const n = Number.parseInt(p, 10);
+      if (!Number.isFinite(n)) break;
+      nums.push(n);
+    }
+    return nums.length ? { "date-parts": [nums.slice(0, 3)] } : null;
+  }
+
+  // A CSL item, or null when it has neither a title nor an author.
+  function normalizeCSL(raw) {
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return null;
+    const type = String(raw.type || "").trim();
+    const out = { type: CSL_TYPES.includes(type) ? type : "article" };
+    for (const k of CSL_TEXT_FIELDS) {
+      const v = k === "abstract" || k === "note" ? String(raw[k] ?? "").trim() : collapseSpaces(raw[k]);
+      if (v) out[k] = v;
+    }
+    for (const k of CSL_NAME_FIELDS) {
+      const names = (Array.isArray(raw[k]) ? raw[k] : raw[k] ? [raw[k]] : []).map(cslName).filter(Boolean);
+      if (names.length) out[k] = names;
+    }
+    for (const k of CSL_DATE_FIELDS) {
+      const d = raw[k] ? cslDate(raw[k]) : null;
+      if (d) out[k] = d;
+    }
+    return out.title || out.author ? out : null;
+  }
+
+  /* BibTeX */
+  const LATEX_ACCENTS = {
+    "'": { a: "á", e: "é", i: "í", o: "ó", u: "ú", c: "ć", n: "ń", s: "ś", z: "ź", y: "ý", A: "Á", E: "É", I: "Í", O: "Ó", U: "Ú" },
+    "`": { a: "à", e: "è", i: "ì", o: "ò", u: "ù", A: "À", E: "È", I: "Ì", O: "Ò", U: "Ù" },
+    '"': { a: "ä", e: "ë", i: "ï", o: "ö", u: "ü", y: "ÿ", A: "Ä", E: "Ë", I: "Ï", O: "Ö", U: "Ü" },
+    "^": { a: "â", e: "ê", i: "î", o: "ô", u: "û", A: "Â", E: "Ê", I: "Î", O: "Ô", U: "Û" },
+    "~": { a: "ã", n: "ñ", o: "õ", A: "Ã", N: "Ñ", O: "Õ" },
+    c: { c: "ç", C: "Ç", s: "ş", S: "Ş" },
+    v: { c: "č", s: "š", z: "ž", r: "ř", e: "ě", C: "Č", S: "Š", Z: "Ž", R: "Ř" },
+  };
+
+  // LaTeX markup of a BibTeX value → plain text.
+  function latexToText(value) {
+    return String(value ?? "")
+      .replace(/\\([`'"^~])\s*\{?\\?([a-zA-Z])\}?/g, (m, acc, ch) => LATEX_ACCENTS[acc]?.[ch] || ch)
+      .replace(/\\([cv])\s*\{([a-zA-Z])\}/g, (m, acc, ch) => LATEX_ACCENTS[acc]?.[ch] || ch)
+      .replace(/\\ss\b\s*/g, "ß")
+      .replace(/\\([&%$#_{}])/g, "$1")
+      .replace(/\\(?:emph|textit|textbf|textsc|url|mkbibquote)\s*/g, "")
+      .replace(/---/g, "—")
+      .replace(/--/g, "–")
+      .replace(/~/g, " ")
+      .replace(/[{}]/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  // "Smith, John and Jane Doe and {World Health Organization}" → CSL names.
+  function parseNames(value) {
+    const out = [];
+    let depth = 0;
+    let cur = "";
+    const raw = String(value ?? "");
+    const flush = () => {
+      const s = cur.trim();
+      cur = "";
+      if (!s) return;
+      if (/^\{.*\}$/.test(s)) return out.push({ literal: latexToText(s) });
+      const text = latexToText(s);
+      if (!text) return;
+      if (text.includes(",")) {
+        const [family, ...rest] = text.split(",");
+        return out.push(cslName({ family, given: rest.join(",") }));
+      }
+      const words = text.split(" ");
+      if (words.length === 1) return out.push({ family: text });
+      // "Ludwig van Beethoven": particles stay with the family name
+      let i = words.length - 1;
+      while (i > 1 && /^[a-z]/.test(words[i - 1])) i--;
+      out.push({ family: words.slice(i).join(" "), given: words.slice(0, i).join(" ") });
+    };
+    for (let i = 0; i < raw.length; i++) {
+      const ch = raw[i];
+      if (ch === "{") depth++;
+      if (ch === "}") depth--;
+      if (depth === 0 && /\sand\s/i.test(raw.slice(i, i + 5)) && /\s/.test(ch)) {
+        flush();
+        i += 4;
+        continue;
+      }
+      cur += ch;
+    }
+    flush();
+    return out.filter(Boolean);
+  }
+
+  // @type{key, field = {value} | "value" | number | macro # ...} entries.
+  // Returns [{ type, key, fields }] with raw (LaTeX) values; @string macros
+  // are expanded, @comment and @preamble skipped. An entry cut short (braces
+  // or quotes left open at the end of the input) is skipped and reported in
+  // errors.
+  function parseBibTeXEntries(text, errors = []) {
+    const src = String(text ?? "");
+    const macros = { jan: "January", feb: "February", mar: "March", apr: "April", may: "May", jun: "June", jul: "July", aug: "August", sep: "September", oct: "October", nov: "November", dec: "December" };
+    const out = [];
+    let i = 0;
+    let truncated = false;
+    const skipSpace = () => {
+      while (i < src.length && /\s/.test(src[i])) i++;
+    };
+    // src[i] is the opening delimiter; returns what is inside, nested
+    // braces included, and leaves i past the closing one.
+    const readDelimited = (open, close) => {
+      let depth = 0;
+      const from = i + 1;
+      for (; i < src.length; i++) {
+        if (src[i] === open) depth++;
+        else if (src[i] === close && --depth === 0) return src.slice(from, i++);
+      }
+      truncated = true;
+      return src.slice(from);
+    };
+    const readValue = () => {
+      const parts = [];
+      for (;;) {
+        skipSpace();
+        const ch = src[i];
+        if (ch === "{") parts.push(readDelimited("{", "}"));
+        else if (ch === '"') {
+          let depth = 0;
+          const from = ++i;
+          for (; i < src.length && !(src[i] === '"' && depth === 0); i++) {
+            if (src[i] === "{") depth++;
+            if (src[i] === "}") depth--;
+          }
+          if (i >= src.length) truncated = true;
+          parts.push(src.slice(from, i++));
+        } else {
+          const m = src.slice(i).match(/^[^\s,#})]+/);
+          if (!m) break;
+          i += m[0].length;
+          parts.push(macros[m[0].toLowerCase()] ?? m[0]);
+        }
+        skipSpace();
+        if (src[i] !== "#") break;
+        i++;
+      }
+      return parts.join("");
+    };
+    while ((i = src.indexOf("@", i)) >= 0) {
+      const m = src.slice(i).match(/^@\s*([a-zA-Z]+)\s*([{(])/);
+      if (!m) {
+        i++;
+        continue;
+      }
+      const type = m[1].toLowerCase();
+      const line = src.slice(0, i).split("\n").length;
+      truncated = false;
+      i += m[0].length;
+      const close = m[2] === "{" ? "}" : ")";
+      if (type === "comment" || type === "preamble") {
+        i--;
+        readDelimited(m[2], close);
+        continue;
+      }
+      let key = "";
+      if (type !== "string") {
+        const k = src.slice(i).match(/^\s*([^,\s}]*)\s*,?/);
+        key = k[1];
+        i += k[0].length;
+      }
+      const fields = {};
+      for (;;) {
+        skipSpace();
+        if (i >= src.length) truncated = true;
+        if (i >= src.length || src[i] === close) {
+          i++;
+          break;
+        }
+        const f = src.slice(i).match(/^([^=\s,]+)\s*=/);
+        if (!f) {
+          i++;
+          continue;
+        }
+        i += f[0].length;
+        fields[f[1].toLowerCase()] = readValue();
+        skipSpace();
+        if (src[i] === ",") i++;
+      }
+      if (truncated) errors.push(`@${type}{${key}} (line ${line}): unbalanced braces or quotes, end of input reached; skipped`);
+      else if (type === "string") Object.assign(macros, fields);
+      else out.push({ type, key, fields });
+    }
+    return out;
+  }
+
+  const BIBTEX_TO_CSL_TYPE = {
+    article: "article-journal",
+    book: "book",
+    booklet: "book",
+    inbook: "chapter",
+    incollection: "chapter",
+    inproceedings: "paper-conference",
+    conference: "paper-conference",
+    proceedings: "book",
+    techreport: "report",
+    report: "report",
+    phdthesis: "thesis",
+    mastersthesis: "thesis",
+    thesis: "thesis",
+    online: "webpage",
+    www: "webpage",
+    dataset: "dataset",
+    unpublished: "manuscript",
+    misc: "article",
+  };
+  const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+  // PDFs named in a BibTeX file field: Zotero "Title:files/1/a.pdf:application/pdf",
+  // JabRef ":a.pdf:PDF", or plain paths separated by ";".
+  function bibtexFiles(value) {
+    return String(value ?? "")
+      .split(";")
+      .map((part) => part.split(":").find((x) => /\.pdf$/i.test(x.trim())) || "")
+      .map((p) => p.trim().replace(/\\/g, "/").split("/").pop())
+      .filter(Boolean);
+  }
+
+  // One parsed BibTeX entry → { item, files }.
+  function bibtexToCSL(entry) {
+    const f = Object.fromEntries(Object.entries(entry.fields || {}).map(([k, v]) => [k, latexToText(v)]));
+    const raw = entry.fields || {};
+    const month = MONTHS.indexOf(String(f.month || "").slice(0, 3).toLowerCase()) + 1 || Number.parseInt(f.month, 10);
+    const issued = f.date
+      ? cslDate(f.date)
+      : f.year
+        ? cslDate([f.year, month || null].filter(Boolean).join("-"))
+        : null;
+    const item = {
+      type: BIBTEX_TO_CSL_TYPE[entry.type] || "article",
+      "citation-key": entry.key,
+      title: f.title,
+      author: raw.author ? parseNames(raw.author) : undefined,
+      editor: raw.editor ? parseNames(raw.editor) : undefined,
+      issued,
+      "container-title": f.journal || f.journaltitle || f.booktitle,
+      "collection-title": f.series,
+      publisher: f.publisher || f.institution || f.school || f.organization,
+      "publisher-place": f.address || f.location,
+      volume: f.volume,
+      issue: f.number || f.issue,
+      page: f.pages,
+      edition: f.edition,
+      DOI: f.doi,
+      ISBN: f.isbn,
+      ISSN: f.issn,
+      URL: f.url,
+      abstract: f.abstract,
+      note: f.note,
+      accessed: f.urldate ? cslDate(f.urldate) : null,
+    };
+    return { item: normalizeCSL(item), files: bibtexFiles(raw.file) };
+  }
+
+  // .bib or CSL-JSON text → { entries: [{ item, files }], errors: [] }.
+  function parseCitations(text) {
+    const src = String(text ?? "").trim();
+    const errors = [];
+    let entries = [];
+    if (/^[[{]/.test(src)) {
+      try {
+        const json = JSON.parse(src);
+        const list = Array.isArray(json) ? json : Array.isArray(json?.items) ? json.items : [json];
+        entries = list.map((raw) => ({ item: normalizeCSL(raw), files: [] }));
+      } catch (e) {
+        errors.push(`JSON: ${String(e && e.message ? e.message : e)}`);
+      }
+    } else {
+      entries = parseBibTeXEntries(src, errors).map(bibtexToCSL);
+    }
+    const kept = entries.filter((e) => e.item);
+    if (kept.length < entries.length) errors.push(`${entries.length - kept.length} entry(ies) without title or author skipped`);
+    return { entries: kept, errors };
+  }
+
+  const CSL_TO_BIBTEX_TYPE = {
+    "article-journal": "article",
+    "article-magazine": "article",
+    "article-newspaper": "article",
+    "paper-conference": "inproceedings",
+    chapter: "incollection",
+    book: "book",
+    report: "techreport",
+    thesis: "phdthesis",
+    webpage: "online",
+    dataset: "misc",
+    manuscript: "unpublished",
+  };
+
+  function bibtexNames(names) {
+    return (names || []).map((n) => (n.literal ? `{${n.literal}}` : n.given ? `${n.family}, ${n.given}` : n.family)).join(" and ");
+  }
+
+  // Citation key for an item without one: family name + year, e.g. "smith2021".
+  function citationKey(item) {
+    if (item?.["citation-key"]) return item["citation-key"];
+    const who = item?.author?.[0]?.family || item?.author?.[0]?.literal || item?.title || "ref";
+    const year = item?.issued?.["date-parts"]?.[0]?.[0] || "";
+    return `${foldText(who).replace(/[^a-z0-9]+/g, "").slice(0, 20)}${year}`;
+  }
+
+  // CSL items → .bib text; keys made unique with a, b, c...
+  function toBibTeX(items) {
+    const used = new Map();
+    return (items || [])
+      .map(normalizeCSL)
+      .filter(Boolean)
+      .map((it) => {
+        let key = citationKey(it);
+        const n = used.get(key) || 0;
+        used.set(key, n + 1);
+        if (n) key += String.fromCharCode(96 + n);
+        const parts = it.issued?.["date-parts"]?.[0] || [];
+        const fields = [
+          ["author", bibtexNames(it.author)],
+          ["editor", bibtexNames(it.editor)],
+          ["title", it.title],
+          [it.type === "paper-conference" || it.type === "chapter" ? "booktitle" : "journal", it["container-title"]],
+          ["series", it["collection-title"]],
+          ["publisher", it.publisher],
+          ["address", it["publisher-place"]],
+          ["year", parts[0]],
+          ["month", parts[1] ? MONTHS[parts[1] - 1] : ""],
+          ["volume", it.volume],
+          ["number", it.issue],
+          ["pages", it.page ? it.page.replace(/\s*[-–]\s*/g, "--") : ""],
+          ["edition", it.edition],
+          ["doi", it.DOI],
+          ["isbn", it.ISBN],
+          ["issn", it.ISSN],
+          ["url", it.URL],
+          ["urldate", cslDateText(it.accessed)],
+          ["note", it.note],
+        ].filter(([, v]) => v !== undefined && v !== null && String(v) !== "");
+        const body = fields.map(([k, v]) => `  ${k} = ${k === "month" ? v : `{${String(v).replace(/([&%#])/g, "\\$1")}}`}`);
+        return `@${CSL_TO_BIBTEX_TYPE[it.type] || "misc"}{${key},\n${body.join(",\n")}\n}`;
+      })
+      .join("\n\n");
+  }
+
+  function cslDateText(date) {
+    const [y, m, d] = date?.["date-parts"]?.[0] || [];
+    if (!y) return "";
+    return [String(y), m && String(m).padStart(2, "0"), d && String(d).padStart(2, "0")].filter(Boolean).join("-");
+  }
+
+  /* Formatting */
+  const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September", "October", "November", "December"];
+
+  function escHtml(value) {
+    return String(value ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+  }
+
+  function initials(given) {
+    return String(given || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((w) => w.split("-").map((p) => `${p.charAt(0).toUpperCase()}.`).join("-"))
+      .join(" ");
+  }
+
+  // ["A", "B", "C"] → "A, B, & C" (both styles keep the comma before the
+  // last name, the first one being inverted)
+  function joinNames(list, conj) {
+    if (list.length <= 1) return list.join("");
+    return `${list.slice(0, -1).join(", ")}, ${conj} ${list[list.length - 1]}`;
+  }
+
+  function apaNames(names) {
+    const list = names.map((n) => (n.literal ? n.literal : n.given ? `${n.family}, ${initials(n.given)}` : n.family));
+    if (list.length > 20) return `${list.slice(0, 19).join(", ")}, … ${list[list.length - 1]}`;
+    return joinNames(list, "&");
+  }
+
+  function chicagoNames(names) {
+    const list = names.map((n, i) =>
+      n.literal ? n.literal : !n.given ? n.family : i === 0 ? `${n.family}, ${n.given}` : `${n.given} ${n.family}`
+    );
+    if (list.length > 10) return `${list.slice(0, 7).join(", ")}, et al.`;
+    return joinNames(list, "and");
+  }
+
+  const CONTAINER_TYPES = ["article-journal", "article-magazine", "article-newspaper", "paper-conference", "chapter"];
+  const endWith = (s, ch) => (!s || /[.?!]$/.test(s) ? s : `${s}${ch}`);
+
+  // One bibliography entry (APA 7th or Chicago author-date); with
+  // { html: true } escaped, with titles in <i>.
+  function formatCitation(raw, style = "apa", opts = {}) {
+    const it = normalizeCSL(raw);
+    if (!it) return "";
+    const esc = opts.html ? escHtml : (s) => String(s ?? "");
+    const ital = (s) => (s ? (opts.html ? `<i>${escHtml(s)}</i>` : s) : "");
+    const [year, month, day] = it.issued?.["date-parts"]?.[0] || [];
+    const inContainer = CONTAINER_TYPES.includes(it.type);
+    const link = it.DOI ? `https://doi.org/${it.DOI.replace(/^https?:\/\/(dx\.)?doi\.org\//i, "")}` : it.URL || "";
+    const parts = [];
+    if (style === "chicago") {
+      if (it.author) parts.push(esc(endWith(chicagoNames(it.author), ".")));
+      parts.push(esc(`${year || "n.d."}.`));
+      if (inContainer) parts.push(esc(`“${endWith(it.title || "", ".")}”`));
+      else if (it.title) parts.push(`${ital(it.title)}.`);
+      if (inContainer && it["container-title"]) {
+        let c = ital(it["container-title"]);
+        if (it.type === "chapter" || it.type === "paper-conference") c = `In ${c}`;
+        if (it.volume) c += esc(` ${it.volume}`);
+        if (it.issue) c += esc(` (${it.issue})`);
+        if (it.page) c += esc(`${it.volume || it.issue ? ":" : ","} ${it.page}`);
+        parts.push(`${c}.`);
+      }
+      const pub = [it["publisher-place"], it.publisher].filter(Boolean).join(": ");
+      if (pub) parts.push(esc(`${pub}.`));
+      if (link) parts.push(esc(endWith(link, ".")));
+    } else {
+      if (it.author) parts.push(esc(endWith(apaNames(it.author), ".")));
+      const when = year
+        ? it.type.startsWith("article-") && it.type !== "article-journal" && month
+          ? `${year}, ${MONTH_NAMES[month - 1]}${day ? ` ${day}` : ""}`
+          : String(year)
+        : "n.d.";
+      parts.push(esc(`(${when}).`));
+      if (inContainer) parts.push(esc(endWith(it.title || "", ".")));
+      else if (it.title) parts.push(`${ital(it.title)}${it.edition ? esc(` (${it.edition} ed.)`) : ""}.`);
+      if (inContainer && it["container-title"]) {
+        if (it.type === "chapter" || it.type === "paper-conference") {
+          const eds = (it.editor || []).map((n) => n.literal || `${initials(n.given)} ${n.family}`.trim());
+          const by = eds.length
+            ? `${eds.length > 2 ? joinNames(eds, "&") : eds.join(" & ")} (Ed${eds.length > 1 ? "s" : ""}.), `
+            : "";
+          parts.push(`${esc(`In ${by}`)}${ital(it["container-title"])}${it.page ? esc(` (pp. ${it.page})`) : ""}.`);
+        } else {
+          let c = ital(it["container-title"]);
+          if (it.volume) c += `, ${ital(it.volume)}`;
+          if (it.issue) c += esc(`(${it.issue})`);
+          if (it.page) c += esc(`, ${it.page}`);
+          parts.push(`${c}.`);
+        }
+      }
+      if (it.publisher && it.type !== "article-journal") parts.push(esc(`${it.publisher}.`));
+      if (link) parts.push(esc(link));
+    }
+    return parts.filter(Boolean).join(" ");
+  }
+
+  // Citation of a node: its CSL item, else (with opts.derive) a minimal item
+  // built from the title and first link of a Source node. null otherwise.
+  function nodeCitation(node, opts = {}) {
+    const d = node?.data || {};
+    const csl = normalizeCSL(d.csl);
+    if (csl) return csl;
+    if (!opts.derive || typeKey(d.type) !== "source" || !collapseSpaces(d.title)) return null;
+    const link = normalizeLinks(d.links ?? []).find((l) => l.url);
+    return normalizeCSL({ type: "webpage", title: d.title, URL: link?.url, accessed: link?.accessed || d.date });
+  }
+
+  // Sorted bibliography of nodes: [{ id, text }]. Nodes with CSL data are
+  // formatted in style; a Source with only a free-text "citation" field is
+  // listed as written. opts: { html, derive } (see nodeCitation).
+  function nodeBibliography(nodes, style = "apa", opts = {}) {
+    const out = [];
+    for (const n of Array.isArray(nodes) ? nodes : []) {
+      const item = nodeCitation(n, opts);
+      const free = String(normalizeFieldValues(n?.data?.fields).citation || "").trim();
+      const text = item ? formatCitation(item, style, opts) : free ? (opts.html ? escHtml(free) : free) : "";
+      if (text) out.push({ id: String(n?.id || ""), text, sortKey: foldText(text.replace(/<[^>]+>/g, "")) });
+    }
+    return out.sort((a, b) => a.sortKey.localeCompare(b.sortKey)).map(({ id, text }) => ({ id, text }));
+  }
+
+  // Pairs imported entries with PDFs picked next to them: a name from the
+  // BibTeX file field first, then a file named after the citation key, then
+  // one whose name holds the first words of the title. Each PDF goes once.
+  // Returns one array of file names per entry.
+  function matchCitationFiles(entries, fileNames) {
+    const slug = (s) => foldText(s).replace(/\.pdf$/i, "").replace(/[^a-z0-9]+/g, "");
+    const free = new Map((fileNames || []).filter((n) => /\.pdf$/i.test(n)).map((n) => [n, slug(n)]));
+    const take = (pred) => {
+      for (const [name, s] of free) {
+        if (!pred(name, s)) continue;
+        free.delete(name);
+        return name;
+      }
+      return null;
+    };
+    const out = (entries || []).map((e) =>
+      (e.files || []).map((f) => take((name) => name.toLowerCase() === String(f).toLowerCase())).filter(Boolean)
+    );
+    (entries || []).forEach((e, i) => {
+      if (out[i].length) return;
+      const key = slug(e.item?.["citation-key"] || "");
+      const title = slug((e.item?.title || "").split(/\s+/).slice(0, 4).join(" "));
+      const hit =
+        (key && take((name, s) => s === key)) || (title.length >= 8 && take((name, s) => s.includes(title)));
+      if (hit) out[i].push(hit);
+    });
+    return out;
+  }
+
+  /* ---------- Nodes / edges ---------- */
+  function finiteOr(value, fallback) {
+    const n = Number(value);
+    return value != null && value !== "" && Number.isFinite(n) ? n : fallback;
+  }
+
+  // Normalises a raw project.json node. Missing values stay empty: each view
+  // decides its own fallback (the editor uses today's date, the analyzers "-").
+  function normalizeNode(raw, i = 0) {
+    const n = raw && typeof raw === "object" ? raw : {};
+    const d = n.data && typeof n.data === "object" ? n.data : {};
+    return {
+      id: String(n.id || `node_${i}`),
+      x: finiteOr(n.x, 0),
+      y: finiteOr(n.y, 0),
+      w: finiteOr(n.w, NODE_W),
+      h: finiteOr(n.h, NODE_H),
+      group: groupIdOf(n.group),
+      data: {
+        date: typeof d.date === "string" ? d.date.trim() : "",
+        title: String(d.title || ""),
+        type: collapseSpaces(d.type || d.object || ""),
+        action: canonicalAction(d.action),
+        areas: normalizeAreaList(d.areas, legacyMainAreas(d)),
+        tags: normalizeTagList(d.tags || []),
+        desc: String(d.desc || ""),
+        links: normalizeLinks(d.links ?? []),
+        files: (Array.isArray(d.files) ? d.files : []).map(normalizeFile),
+        fields: normalizeFieldValues(d.fields),
+        csl: normalizeCSL(d.csl),
+      },
+    };
+  }
+
+  // dashed = "weak" link; type points at project.relations, label/note/date
+  // annotate the link itself.
+  function normalizeEdge(raw) {
+    return {
+      s: String(raw?.s || ""),
+      t: String(raw?.t || ""),
+      dashed: !!raw?.dashed,
+      type: relationIdOf(raw?.type),
+      label: collapseSpaces(raw?.label || ""),
+      note: String(raw?.note || ""),
+      date: typeof raw?.date === "string" ? raw.date.trim() : "",
+    };
+  }
+
+  function serializeEdge(e) {
+    return {
+      s: e.s,
+      t: e.t,
+      dashed: !!e.dashed,
+      type: relationIdOf(e.type),
+      label: e.label || "",
+      note: e.note || "",
+      date: e.date || "",
+    };
+  }
+
+  /* ---------- Project meta ---------- */
+  // project.meta describes the project as a whole (who, for which course,
+  // when). Every field is optional; without a title the views fall back to
+  // the folder name (projectTitle).
+  const META_FIELDS = ["title", "authors", "course", "brief", "start", "end", "license"];
+
+  // "Ada Rossi; Bo Chen" or one per line → ["Ada Rossi", "Bo Chen"].
+  // Commas are left alone: "Rossi, Ada" is one author.
+  function normalizeAuthors(value) {
+    const list = Array.isArray(value) ? value : String(value ?? "").split(/[;\n]/);
+    const seen = new Set();
+    const out = [];
+    for (const raw of list) {
+      const name = collapseSpaces(raw);
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) continue;
+      seen.add(key);
+      out.push(name);
+    }
+    return out;
+  }
+
+  // Only real calendar days survive ("2024-02-30" becomes "").
+  function metaDate(value) {
+    const raw = collapseSpaces(value);
+    return /^\d{4}-\d{2}-\d{2}$/.test(raw) && formatDate(parseDate(raw)) === raw ? raw : "";
+  }
+
+  function normalizeMeta(raw) {
+    const m = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+    return {
+      title: collapseSpaces(m.title),
+      authors: normalizeAuthors(m.authors),
+      course: collapseSpaces(m.course),
+      brief: String(m.brief ?? "").trim(),
+      start: metaDate(m.start),
+      end: metaDate(m.end),
+      license: collapseSpaces(m.license),
+    };
+  }
+
+  // Project folders carry a sort prefix: "3_cognitive" → "cognitive".
+  function folderTitle(folderName) {
+    return String(folderName || "").replace(/^\d+_/, "");
+  }
+
+  function projectTitle(project, folderName = "") {
+    return normalizeMeta(project?.meta).title || folderTitle(folderName);
+  }
+
+  // "Ada Rossi, Bo Chen · Design Studio · 2024-03-01 → 2024-06-15"
+  function metaSummary(meta) {
+    const m = normalizeMeta(meta);
+    const span = m.start || m.end ? `${m.start || "…"} → ${m.end || "…"}` : "";
+    return [m.authors.join(", "), m.course, span].filter(Boolean).join(" · ");
+  }
+
+  /* ---------- Groups ---------- */
+  // project.groups holds one entry per group; nodes point at it with
+  // node.group. Up to v7 the editor stamped bare numbers from a counter that
+  // was never saved, so those become "g<n>" strings in the same namespace.
+  const GROUP_COLORS = [
+    "#3d6fd6",
+    "#d4812b",
+    "#2f9a5c",
+    "#c2415d",
+    "#7b5cc4",
+    "#1f96a3",
+    "#8d6e3f",
+    "#5e6a79",
+  ];
+
+  function groupIdOf(value) {
+    if (value == null || value === "") return null;
+    if (typeof value === "number") return Number.isFinite(value) ? `g${value}` : null;
+    const id = String(value).trim();
+    return id || null;
+  }
+
+  function normalizeGroup(raw, i = 0) {
+    const g = raw && typeof raw === "object" ? raw : {};
+    const color = String(g.color || "").trim().toLowerCase();
+    return {
+      id: groupIdOf(g.id) || `g${i + 1}`,
+      title: collapseSpaces(g.title || "") || `Group ${i + 1}`,
+      color: /^#[0-9a-f]{6}$/.test(color) ? color : GROUP_COLORS[i % GROUP_COLORS.length],
+      note: String(g.note || ""),
+      collapsed: !!g.collapsed,
+    };
+  }
+
+  // Declared groups first, then one for every id a node points at without a
+  // matching entry (legacy numeric groups, hand edits).
+  function normalizeGroups(list, nodes = []) {
+    const out = new Map();
+    for (const raw of Array.isArray(list) ? list : []) {
+      const g = normalizeGroup(raw, out.size);
+      if (!out.has(g.id)) out.set(g.id, g);
+    }
+    for (const n of Array.isArray(nodes) ? nodes : []) {
+      const id = groupIdOf(n?.group);
+      if (id && !out.has(id)) out.set(id, normalizeGroup({ id }, out.size));
+    }
+    return [...out.values()];
+  }
+
+  // id → group for views that only read a project (filters, legends).
+  function projectGroups(project) {
+    return new Map(normalizeGroups(project?.groups, project?.nodes).map((g) => [g.id, g]));
+  }
+
+  /* ---------- Relations ---------- */
+  // Relation vocabulary of a project (project.relations): why two nodes are
+  // connected. Edges refer to an entry by id; the style picks the stroke
+  // pattern in the editor (colour alone would not survive a print).
+  const RELATION_STYLES = ["solid", "dotted", "dashdot"];
+  const DEFAULT_RELATIONS = [
+    { id: "derives-from", label: "Derives from", color: "#3d6fd6", style: "solid" },
+    { id: "iterates-on", label: "Iterates on", color: "#2f9a5c", style: "solid" },
+    { id: "contradicts", label: "Contradicts", color: "#c2415d", style: "dashdot" },
+    { id: "responds-to-feedback", label: "Responds to feedback", color: "#d4812b", style: "solid" },
+    { id: "cites", label: "Cites", color: "#7b5cc4", style: "dotted" },
+  ];
+
+  // "Responds to feedback" → "responds-to-feedback"
+  function relationIdOf(value) {
+    const id = foldText(value)
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "");
+    return id || null;
+  }
+
+  function normalizeRelation(raw, i = 0) {
+    const r = raw && typeof raw === "object" ? raw : { label: raw };
+    const id = relationIdOf(r.id) || relationIdOf(r.label) || `relation-${i + 1}`;
+    const color = String(r.color || "").trim().toLowerCase();
+    return {
+      id,
+      label: collapseSpaces(r.label || "") || id,
+      color: /^#[0-9a-f]{6}$/.test(color) ? color : GROUP_COLORS[i % GROUP_COLORS.length],
+      style: RELATION_STYLES.includes(r.style) ? r.style : "solid",
+    };
+  }
+
+  // Missing block → DEFAULT_RELATIONS; types used by edges but not declared
+  // are appended so no edge loses its meaning.
+  function normalizeRelations(list, edges = []) {
+    const out = new Map();
+    const src = Array.isArray(list) ? list : DEFAULT_RELATIONS;
+    for (const raw of src) {
+      const r = normalizeRelation(raw, out.size);
+      if (!out.has(r.id)) out.set(r.id, r);
+    }
+    for (const e of Array.isArray(edges) ? edges : []) {
+      const id = relationIdOf(e?.type);
+      if (id && !out.has(id)) out.set(id, normalizeRelation({ id }, out.size));
+    }
+    return [...out.values()];
+  }
+
+  function projectRelations(project) {
+    return new Map(
+      normalizeRelations(project?.relations, project?.edges).map((r) => [r.id, r])
+    );
+  }
+
+  /* ---------- Node types ---------- */
+  // project.types: the node-type taxonomy of a project. node.data.type keeps
+  // the label (what older files and the analyzers already read) and matches
+  // an entry through typeKey, so "feedback" and "Feedback" are one type.
+  // A type's fields are extra inputs shown for it only; the values live in
+  // node.data.fields under the field id.
+  const TYPE_FIELD_KINDS = ["text", "textarea", "url", "date"];
+  const DEFAULT_TYPES = [
+    {
+      label: "Brief",
+      color: "#5e6a79",
+      icon: "flag",
+      description: "The initial framing of the project: the question or design challenge that triggers it.",
+    },
+    {
+      label: "Source",
+      color: "#3d6fd6",
+      icon: "menu_book",
+      description: "External material used as input and inspiration (case study, article, artwork, dataset).",
+      fields: [{ id: "citation", label: "Citation", kind: "textarea" }],
+    },
+    {
+      label: "Finding",
+      color: "#1f96a3",
+      icon: "travel_explore",
+      description: "Evidence that emerges from research about the context, users or problem.",
+    },
+    {
+      label: "Collection",
+      color: "#8d6e3f",
+      icon: "collections",
+      description: "Curated group of references organised around a theme (moodboard, image set).",
+    },
+    {
+      label: "Concept",
+      color: "#d4812b",
+      icon: "emoji_objects",
+      description: "The core idea or proposition that drives exploration.",
+    },
+    {
+      label: "Sketch",
+      color: "#c9a227",
+      icon: "draw",
+      description: "Embryonic design attempt, rough and provisional (drawing, wireframe, draft).",
+    },
+    {
+      label: "Artefact",
+      color: "#2f9a5c",
+      icon: "deployed_code",
+      description: "Tangible outcome with some autonomy or completeness (prototype, poster, app).",
+    },
+    {
+      label: "Observation",
+      color: "#7b5cc4",
+      icon: "visibility",
+      description: "Reflection and learning from the process, including when things don't work.",
+    },
+    {
+      label: "Feedback",
+      color: "#c2415d",
+      icon: "forum",
+      description: "External response and evaluation from others (peer comment, critique, review).",
+      fields: [{ id: "reviewer", label: "Reviewer", kind: "text", required: true }],
+    },
+    {
+      label: "Decision",
+      color: "#b04f98",
+      icon: "alt_route",
+      description: "Moment where something is defined or chosen, shaping the direction.",
+      fields: [{ id: "rationale", label: "Rationale", kind: "textarea" }],
+    },
+    {
+      label: "Output",
+      color: "#2b2b2b",
+      icon: "verified",
+      description: "The final, consolidated result.",
+    },
+  ];
+
+  function typeKey(value) {
+    return foldText(collapseSpaces(value));
+  }
+
+  function normalizeTypeField(raw, i = 0) {
+    const f = raw && typeof raw === "object" ? raw : { label: raw };
+    return {
+      id: relationIdOf(f.id) || relationIdOf(f.label) || `field-${i + 1}`,
+      label: collapseSpaces(f.label || f.id || "") || `Field ${i + 1}`,
+      kind: TYPE_FIELD_KINDS.includes(f.kind) ? f.kind : "text",
+      required: !!f.required,
+    };
+  }
+
+  function normalizeType(raw, i = 0) {
+    const t = raw && typeof raw === "object" ? raw : { label: raw };
+    const color = String(t.color || "").trim().toLowerCase();
+    const icon = String(t.icon || "").trim().toLowerCase();
+    const fields = new Map();
+    for (const f of Array.isArray(t.fields) ? t.fields : []) {
+      const field = normalizeTypeField(f, fields.size);
+      if (!fields.has(field.id)) fields.set(field.id, field);
+    }
+    return {
+      label: collapseSpaces(t.label || "") || `Type ${i + 1}`,
+      color: /^#[0-9a-f]{6}$/.test(color) ? color : GROUP_COLORS[i % GROUP_COLORS.length],
+      icon: /^[a-z0-9_]+$/.test(icon) ? icon : "",
+      description: String(t.description || "").trim(),
+      fields: [...fields.values()],
+    };
+  }
+
+  // Missing block → DEFAULT_TYPES; labels used by nodes but not declared are
+  // appended (plain entries, no icon) so every node keeps a colour.
+  function normalizeTypes(list, nodes = []) {
+    const out = new Map();
+    const src = Array.isArray(list) ? list : DEFAULT_TYPES;
+    for (const raw of src) {
+      const t = normalizeType(raw, out.size);
+      if (!out.has(typeKey(t.label))) out.set(typeKey(t.label), t);
+    }
+    for (const n of Array.isArray(nodes) ? nodes : []) {
+      const label = collapseSpaces(n?.data?.type || n?.data?.object || "");
+      if (label && !out.has(typeKey(label))) out.set(typeKey(label), normalizeType({ label }, out.size));
+    }
+    return [...out.values()];
+  }
+
+  // typeKey → type, for views that only read a project.
+  function projectTypes(project) {
+    return new Map(normalizeTypes(project?.types, project?.nodes).map((t) => [typeKey(t.label), t]));
+  }
+
+  // Extra field values: { fieldId: "text" }, empty values dropped.
+  function normalizeFieldValues(raw) {
+    const out = {};
+    if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+    for (const [k, v] of Object.entries(raw)) {
+      const id = relationIdOf(k);
+      const value = String(v ?? "").trim();
+      if (id && value) out[id] = value;
+    }
+    return out;
+  }
+
+  // Labels of the required fields of the node's type that are still empty.
+  function missingTypeFields(node, types) {
+    const type = types?.get(typeKey(node?.data?.type));
+    if (!type) return [];
+    const values = normalizeFieldValues(node?.data?.fields);
+    return type.fields.filter((f) => f.required && !values[f.id]).map((f) => f.label);
+  }
+
+  /* ---------- Vocabulary terms ---------- */
+  // project.terms: how the areas and tags of a project relate, next to the
+  // plain MRU lists in vocab. Only a term with a parent or synonyms has an
+  // entry ({ label, parent, synonyms }). A synonym is another spelling of the
+  // term and reads as it everywhere; parent files the term under a broader
+  // one, which the analyzers can roll up to.
+  const TERM_KINDS = ["areas", "tags"];
+
+  // "UI design", "Ui-design" and "ui design" are one term.
+  function termKey(value) {
+    return foldText(collapseSpaces(value))
+      .replace(/[^a-z0-9]+/g, " ")
+      .trim();
+  }
+
+  function termLabel(value, kind) {
+    return kind === "areas" ? canonicalAreaName(value) : collapseSpaces(value);
+  }
+
+  function normalizeTerm(raw, kind = "tags") {
+    const t = raw && typeof raw === "object" ? raw : { label: raw };
+    const label = termLabel(t.label, kind);
+    const key = termKey(label);
+    const parent = termLabel(t.parent, kind);
+    const synonyms = Array.isArray(t.synonyms) ? t.synonyms : [t.synonyms];
+    return {
+      label,
+      parent: termKey(parent) === key ? "" : parent,
+      synonyms: normalizeTagList(synonyms.map((x) => termLabel(x, kind))).filter(
+        (x) => termKey(x) !== key
+      ),
+    };
+  }
+
+  // The same label twice is one entry (first parent wins, synonyms joined).
+  // A synonym can't be a term with its own entry and belongs to one term
+  // only; a parent given as a synonym becomes its term; a parent chain that
+  // loops is cut where it closes. Entries left with neither are dropped.
+  function normalizeTermList(list, kind = "tags") {
+    const out = new Map();
+    for (const raw of Array.isArray(list) ? list : []) {
+      const t = normalizeTerm(raw, kind);
+      const key = termKey(t.label);
+      if (!key) continue;
+      const cur = out.get(key);
+      if (!cur) out.set(key, t);
+      else {
+        cur.parent = cur.parent || t.parent;
+        cur.synonyms = normalizeTagList([...cur.synonyms, ...t.synonyms]);
+      }
+    }
+    const canonical = new Map();
+    for (const t of out.values()) {
+      t.synonyms = t.synonyms.filter((x) => {
+        const k = termKey(x);
+        if (out.has(k) || canonical.has(k)) return false;
+        canonical.set(k, t.label);
+        return true;
+      });
+    }
+    for (const t of out.values()) {
+      t.parent = canonical.get(termKey(t.parent)) || t.parent;
+      if (termKey(t.parent) === termKey(t.label)) t.parent = "";
+    }
+    for (const t of out.values()) {
+      const seen = new Set([termKey(t.label)]);
+      for (let p = t.parent; p; p = out.get(termKey(p))?.parent) {
+        if (seen.has(termKey(p))) {
+          t.parent = "";
+          break;
+        }
+        seen.add(termKey(p));
+      }
+    }
+    return [...out.values()].filter((t) => t.parent || t.synonyms.length);
+  }
+
+  function normalizeTerms(raw) {
+    const t = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+    return {
+      areas: normalizeTermList(t.areas, "areas"),
+      tags: normalizeTermList(t.tags, "tags"),
+    };
+  }
+
+  // Lookup for one kind: { byKey: Map(termKey → entry), canonical:
+  // Map(synonym key → term label) }.
+  function termIndex(list, kind = "tags") {
+    const entries = normalizeTermList(list, kind);
+    const canonical = new Map();
+    for (const t of entries) for (const x of t.synonyms) canonical.set(termKey(x), t.label);
+    return { byKey: new Map(entries.map((t) => [termKey(t.label), t])), canonical };
+  }
+
+  // { areas: termIndex, tags: termIndex }, for views that only read a project.
+  function projectTerms(project) {
+    const terms = normalizeTerms(project?.terms);
+    return { areas: termIndex(terms.areas, "areas"), tags: termIndex(terms.tags, "tags") };
+  }
+
+  // The term a value stands for: its own label unless it is a synonym.
+  function resolveTerm(value, index) {
+    return index?.canonical.get(termKey(value)) || collapseSpaces(value);
+  }
+
+  function termParent(value, index) {
+    return index?.byKey.get(termKey(resolveTerm(value, index)))?.parent || "";
+  }
+
+  // Topmost ancestor of a value (the value itself when it has no parent).
+  function rootTerm(value, index) {
+    let cur = resolveTerm(value, index);
+    const seen = new Set([termKey(cur)]);
+    for (let p = termParent(cur, index); p && !seen.has(termKey(p)); p = termParent(cur, index)) {
+      seen.add(termKey(p));
+      cur = p;
+    }
+    return cur;
+  }
+
+  // Renames a term of one kind on every node, or merges it when `to` is
+  // already in use, and carries its entry along (parent, children,
+  // synonyms). project is { nodes, terms } and changes in place; returns the
+  // number of nodes touched. opts.keepSynonym keeps `from` as a synonym.
+  function renameTerm(project, kind, from, to, opts = {}) {
+    const fromKey = termKey(from);
+    const label = termLabel(to, kind);
+    if (!TERM_KINDS.includes(kind) || !fromKey || !termKey(label)) return 0;
+    let touched = 0;
+    for (const n of project.nodes || []) {
+      const d = n.data || {};
+      const list = Array.isArray(d[kind]) ? d[kind] : [];
+      if (!list.some((x) => termKey(x) === fromKey)) continue;
+      const next = list.map((x) => (termKey(x) === fromKey ? label : x));
+      d[kind] = kind === "areas" ? normalizeAreaList(next) : normalizeTagList(next);
+      touched++;
+    }
+    const terms = normalizeTerms(project.terms);
+    const moved = (x) => (termKey(x) === fromKey ? label : x);
+    const list = terms[kind].map((t) => ({
+      label: moved(t.label),
+      parent: moved(t.parent),
+      synonyms: t.synonyms,
+    }));
+    if (opts.keepSynonym && termKey(label) !== fromKey) {
+      list.push({ label, synonyms: [termLabel(from, kind)] });
+    }
+    terms[kind] = normalizeTermList(list, kind);
+    project.terms = terms;
+    return touched;
+  }
+
+  /* ---------- Vocabulary harmonization ---------- */
+  // Projects grow their vocabularies apart ("Brand identity", "Brand
+  // Identity", "Branding identity"...). clusterTerms groups the spellings of
+  // several projects into clusters for someone to review; applyTermMapping
+  // rewrites a project with the reviewed clusters.
+
+  // Levenshtein distance, or max + 1 as soon as it can only be larger.
+  function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        best = Math.min(best, cur[j]);
+      }
+      if (best > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Words of a term with a plural "s" dropped: "Arts" and "Art" share "art".
+  function termTokens(value) {
+    return new Set(
+      termKey(value)
+        .split(" ")
+        .filter(Boolean)
+        .map((w) => (w.length > 3 && w.endsWith("s") && !w.endsWith("ss") ? w.slice(0, -1) : w))
+    );
+  }
+
+  // Why two spellings look like one term, or "" when they don't.
+  //   spelling: same letters and digits (case, accents, punctuation aside)
+  //   edit distance: one word differs by a typo (1 edit from 5 letters, 2
+  //   from 14) past its first letter; shorter words must match, so "UI"
+  //   and "UX" stay apart
+  //   token overlap: same words in another order, or sharing at least two
+  //   words out of overlap (default 3/4) of them
+  function termSimilarity(a, b, opts = {}) {
+    const ka = termKey(a);
+    const kb = termKey(b);
+    if (!ka || !kb) return "";
+    if (ka === kb) return "spelling";
+    const wa = ka.split(" ");
+    const wb = kb.split(" ");
+    const differ = wa.map((w, i) => i).filter((i) => wa[i] !== wb[i]);
+    if (wa.length === wb.length && differ.length === 1) {
+      const [x, y] = [wa[differ[0]], wb[differ[0]]];
+      const len = Math.min(x.length, y.length);
+      const max = len >= 14 ? 2 : len >= 5 ? 1 : 0;
+      if (max && x[0] === y[0] && editDistance(x, y, max) <= max) return "edit distance";
+    }
+    const ta = termTokens(a);
+    const tb = termTokens(b);
+    const shared = [...ta].filter((w) => tb.has(w)).length;
+    const union = new Set([...ta, ...tb]).size;
+    const overlap = opts.overlap ?? 3 / 4;
+    if (shared === union || (shared >= 2 && shared / union >= overlap)) return "token overlap";
+    return "";
+  }
+
+  // entries: [{ term, count, projects, declared }] of one kind, any spelling
+  // once; declared marks a spelling listed in a vocab or terms block.
+  // Returns the clusters with more than one spelling, the most used first:
+  // [{ canonical, count, projects, review, variants: [{ term, count,
+  // projects, reason }] }]. The canonical spelling is a declared one, then
+  // the most used (then the one in most projects). review is true unless
+  // the canonical is the only declared spelling, when the winner is used
+  // less than twice as much as the next one or a variant is one typo away:
+  // the wrong spelling may be the one that won.
+  function clusterTerms(entries, kind = "tags", opts = {}) {
+    const list = (Array.isArray(entries) ? entries : []).filter((e) => termKey(e?.term));
+    const parent = list.map((_, i) => i);
+    const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const reason = new Map();
+    for (let i = 0; i < list.length; i++) {
+      for (let j = i + 1; j < list.length; j++) {
+        const why = termSimilarity(list[i].term, list[j].term, opts);
+        if (!why) continue;
+        parent[find(j)] = find(i);
+        for (const k of [i, j]) if (!reason.has(k) || why === "spelling") reason.set(k, why);
+      }
+    }
+    const groups = new Map();
+    list.forEach((e, i) => {
+      if (!groups.has(find(i))) groups.set(find(i), []);
+      groups.get(find(i)).push(i);
+    });
+    const byUse = (a, b) =>
+      b.declared - a.declared ||
+      b.count - a.count || b.projects.length - a.projects.length || a.term.localeCompare(b.term, "en");
+    const out = [];
+    for (const members of groups.values()) {
+      if (members.length < 2) continue;
+      const items = members
+        .map((i) => ({
+          term: list[i].term,
+          count: list[i].count || 0,
+          projects: [...new Set(list[i].projects || [])].sort(),
+          reason: reason.get(i),
+          declared: !!list[i].declared,
+        }))
+        .sort(byUse);
+      const [top, ...rest] = items.map(({ declared, ...x }) => x);
+      // Reason relative to the chosen term, when the two are directly similar
+      const variants = rest.map((v) => ({ ...v, reason: termSimilarity(top.term, v.term, opts) || v.reason }));
+      out.push({
+        canonical: termLabel(top.term, kind),
+        count: items.reduce((sum, x) => sum + x.count, 0),
+        projects: [...new Set(items.flatMap((x) => x.projects))].sort(),
+        review:
+          !(items[0].declared && items.filter((x) => x.declared).length === 1) &&
+          (top.count < 2 * variants[0].count || variants.some((v) => v.reason === "edit distance")),
+        variants,
+      });
+    }
+    return out.sort((a, b) => b.count - a.count || a.canonical.localeCompare(b.canonical, "en"));
+  }
+
+  // Applies reviewed clusters of one kind to a project.json as it is on
+  // disk (no migration): node lists and vocab[kind] take the canonical
+  // spelling; a project with a terms block also keeps the variants as its
+  // synonyms, for the clusters it uses. Returns { nodes, values } (nodes touched, values rewritten).
+  function applyTermMapping(project, kind, clusters) {
+    const map = new Map();
+    for (const c of Array.isArray(clusters) ? clusters : []) {
+      const canonical = termLabel(c?.canonical, kind);
+      if (!termKey(canonical)) continue;
+      map.set(termKey(canonical), canonical);
+      for (const v of c.variants || []) {
+        const key = termKey(typeof v === "string" ? v : v?.term);
+        if (key && !map.has(key)) map.set(key, canonical);
+      }
+    }
+    const out = { nodes: 0, values: 0 };
+    if (!TERM_KINDS.includes(kind) || !map.size) return out;
+    // Spellings the project uses before the rewrite: only their clusters
+    // become synonyms in the terms block.
+    const used = new Set(
+      [
+        ...(project.nodes || []).flatMap((n) => (Array.isArray(n?.data?.[kind]) ? n.data[kind] : [])),
+        ...(Array.isArray(project.vocab?.[kind]) ? project.vocab[kind] : []),
+        ...(project.terms && typeof project.terms === "object"
+          ? normalizeTerms(project.terms)[kind].flatMap((t) => [t.label, ...(t.synonyms || [])])
+          : []),
+      ].map(termKey)
+    );
+    // Mapped values, then duplicates dropped (first one kept)
+    const rewrite = (list) => {
+      const mapped = list.map((x) => map.get(termKey(x)) || x);
+      const seen = new Set();
+      const next = mapped.filter((x) => !seen.has(termKey(x)) && seen.add(termKey(x)));
+      return { next, changed: mapped.filter((x, i) => x !== list[i]).length };
+    };
+    for (const n of project.nodes || []) {
+      const list = n?.data?.[kind];
+      if (!Array.isArray(list)) continue;
+      const { next, changed } = rewrite(list);
+      if (!changed && next.length === list.length) continue;
+      n.data[kind] = next;
+      out.nodes++;
+      out.values += changed;
+    }
+    if (Array.isArray(project.vocab?.[kind])) project.vocab[kind] = rewrite(project.vocab[kind]).next;
+    if (project.terms && typeof project.terms === "object") {
+      const terms = normalizeTerms(project.terms);
+      const moved = (x) => map.get(termKey(x)) || x;
+      const variantsOf = new Map();
+      for (const c of clusters) {
+        const to = termLabel(c?.canonical, kind);
+        const names = (c.variants || []).map((v) => (typeof v === "string" ? v : v?.term));
+        if (![to, ...names].some((x) => used.has(termKey(x)))) continue;
+        variantsOf.set(to, [...(variantsOf.get(to) || []), ...names]);
+      }
+      const list = terms[kind].map((t) => ({ label: moved(t.label), parent: moved(t.parent), synonyms: t.synonyms }));
+      for (const [label, names] of variantsOf) list.push({ label, synonyms: names });
+      terms[kind] = normalizeTermList(list, kind);
+      project.terms = terms;
+    }
+    return out;
+  }
+
+  /* ---------- Search ---------- */
+  const SEARCH_FIELDS = ["title", "desc", "tags", "areas", "type", "action", "links", "files"];
+
+  // Lower case without accents, so "perche" finds "perché".
+  function foldText(value) {
+    return String(value ?? "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase();
+  }
+
+  // Words of a search string; "quoted phrases" stay together.
+  function searchTerms(text) {
+    const out = [];
+    const re = /"([^"]+)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(foldText(text)))) out.push((m[1] || m[2]).trim());
+    return out.filter(Boolean);
+  }
+
+  function nodeFieldValues(data, field) {
+    const d = data || {};
+    if (field === "tags" || field === "areas") return Array.isArray(d[field]) ? d[field] : [];
+    if (field === "links") {
+      return normalizeLinks(d.links ?? []).map((l) => `${l.title} ${l.url} ${l.note}`);
+    }
+    if (field === "files") {
+      return (Array.isArray(d.files) ? d.files : []).flatMap((f) => [f?.name, f?.path]);
+    }
+    return [d[field]];
+  }
+
+  function emptySearchQuery() {
+    return {
+      text: "",
+      fields: [...SEARCH_FIELDS],
+      types: [],
+      actions: [], // "exploring" | "making" | "missing" | "other"
+      areas: [],
+      areasMode: "any",
+      tags: [],
+      tagsMode: "any",
+      from: "",
+      to: "",
+      combine: "and", // how the type/action/areas/tags facets combine
+    };
+  }
+
+  function isSearchQueryEmpty(q) {
+    return (
+      !searchTerms(q?.text).length &&
+      !q?.types?.length &&
+      !q?.actions?.length &&
+      !q?.areas?.length &&
+      !q?.tags?.length &&
+      !q?.from &&
+      !q?.to
+    );
+  }
+
+  // Text terms must all match (in any of q.fields) and the date range always
+  // applies; the facets are ANDed or ORed according to q.combine.
+  // Returns null for no match, otherwise { fields: [...] } with the fields
+  // where text terms were found.
+  function matchNodeQuery(node, query) {
+    const q = { ...emptySearchQuery(), ...query };
+    const d = node?.data || {};
+
+    const matched = new Set();
+    const terms = searchTerms(q.text);
+    if (terms.length) {
+      const hay = q.fields.map((field) => [
+        field,
+        nodeFieldValues(d, field).map(foldText).join("\n"),
+      ]);
+      for (const term of terms) {
+        const hits = hay.filter(([, text]) => text.includes(term));
+        if (!hits.length) return null;
+        hits.forEach(([field]) => matched.add(field));
+      }
+    }
+
+    if (q.from || q.to) {
+      const date = typeof d.date === "string" ? d.date : "";
+      if (!parseDate(date)) return null;
+      if (q.from && date < q.from) return null;
+      if (q.to && date > q.to) return null;
+    }
+
+    const lowerSet = (list) => new Set((list || []).map((v) => foldText(v)));
+    const facets = [];
+    if (q.types.length) facets.push(lowerSet(q.types).has(foldText(d.type)));
+    if (q.actions.length) facets.push(q.actions.includes(actionKey(d.action)));
+    for (const key of ["areas", "tags"]) {
+      if (!q[key].length) continue;
+      const have = lowerSet(d[key]);
+      const want = [...lowerSet(q[key])];
+      facets.push(
+        q[`${key}Mode`] === "all" ? want.every((v) => have.has(v)) : want.some((v) => have.has(v))
+      );
+    }
+    if (facets.length) {
+      const ok = q.combine === "or" ? facets.some(Boolean) : facets.every(Boolean);
+      if (!ok) return null;
+    }
+
+    return { fields: [...matched] };
+  }
+
+  // Matching nodes in time order (undated last, then left to right).
+  function searchNodes(nodes, query) {
+    if (isSearchQueryEmpty(query)) return [];
+    const hits = [];
+    for (const node of nodes || []) {
+      const m = matchNodeQuery(node, query);
+      if (m) hits.push({ id: node.id, node, fields: m.fields });
+    }
+    return hits.sort((a, b) => {
+      const da = a.node.data?.date || "9999";
+      const db = b.node.data?.date || "9999";
+      if (da !== db) return da < db ? -1 : 1;
+      return (a.node.x || 0) - (b.node.x || 0);
+    });
+  }
+
+  /* ---------- Serialisation ---------- */
+  function serializeFile(f) {
+    const out = {
+      name: f.name,
+      size: f.size,
+      type: f.type,
+      isImage: !!f.isImage,
+      isPDF: !!f.isPDF,
+    };
+    if ("path" in f) out.path = f.path || null;
+    if ("dataUrl" in f) out.dataUrl = f.dataUrl || null;
+    return out;
+  }
+
+  function serializeNode(n) {
+    const src = n.data || {};
+    return {
+      id: n.id,
+      x: n.x,
+      y: n.y,
+      w: n.w,
+      h: n.h,
+      group: groupIdOf(n.group),
+      data: {
+        date: src.date || "",
+        title: src.title || "",
+        type: src.type || "",
+        action: src.action ?? null,
+        areas: [...(src.areas || [])],
+        tags: [...(src.tags || [])],
+        desc: src.desc || "",
+        links: normalizeLinks(src.links || []),
+        files: (src.files || []).map(serializeFile),
+        fields: normalizeFieldValues(src.fields),
+        ...(normalizeCSL(src.csl) ? { csl: normalizeCSL(src.csl) } : {}),
+      },
+    };
+  }
+
+  // Canonical project.json object (key order matches what the editor writes).
+  function serializeProject(project) {
+    const p = project || {};
+    const v = p.vocab || {};
+    return {
+      version: p.version ?? PROJECT_VERSION,
+      meta: normalizeMeta(p.meta),
+      nodes: (p.nodes || []).map(serializeNode),
+      edges: (p.edges || []).map(serializeEdge),
+      groups: (p.groups || []).map((g) => ({
+        id: g.id,
+        title: g.title || "",
+        color: g.color || GROUP_COLORS[0],
+        note: g.note || "",
+        collapsed: !!g.collapsed,
+      })),
+      relations: (p.relations || DEFAULT_RELATIONS).map((r) => ({
+        id: r.id,
+        label: r.label || r.id,
+        color: r.color || GROUP_COLORS[0],
+        style: r.style || "solid",
+      })),
+      types: (p.types || DEFAULT_TYPES).map((t, i) => normalizeType(t, i)),
+      macros: normalizeMacros(p.macros),
+      terms: normalizeTerms(p.terms),
+      vocab: {
+        areas: [...(v.areas || [])],
+        tags: [...(v.tags || [])],
+        type: [...(v.type || [])],
+      },
+    };
+  }
+
+  function stringifyProject(project) {
+    return JSON.stringify(serializeProject(project), null, 2);
+  }
+
+  // The way in for a whole project.json: { project, migration }, the project
+  // upgraded to PROJECT_VERSION (migrateProject, whose report is migration)
+  // and in the canonical shape the editor writes (serializeProject). A file
+  // newer than this build comes back untouched (migration.newer).
+  function normalizeProject(json) {
+    const migration = migrateProject(json);
+    return {
+      project: migration.newer ? migration.project : serializeProject(migration.project),
+      migration,
+    };
+  }
+
+  // project.json text → normalizeProject(); throws on invalid JSON.
+  function parseProject(text) {
+    return normalizeProject(JSON.parse(text));
+  }
+
+  /* ---------- Revision history ---------- */
+  // The editor appends one JSON line per folder save to HISTORY_FILE, next to
+  // project.json: { at, changes: [...] }, where each change is one of
+  //   { op: "node.create", id, node }        node as saved
+  //   { op: "node.edit", id, fields }        fields: { name: [old, new] }
+  //   { op: "node.delete", id, node }        last saved state of the node
+  //   { op: "edge.add" | "edge.remove", s, t, dashed, type, label, note, date }
+  //   { op: "edge.edit", s, t, dashed?, fields }   dashed only when true
+  // Position and size are left out on purpose: layout moves would drown the
+  // content changes.
+  const HISTORY_FILE = "project.history.jsonl";
+  const HISTORY_FIELDS = [
+    "title",
+    "date",
+    "type",
+    "action",
+    "areas",
+    "tags",
+    "desc",
+    "links",
+    "files",
+    "fields",
+    "csl",
+    "group",
+  ];
+
+  function historyValue(node, field) {
+    if (field === "group") return node.group ?? null;
+    if (field === "fields") return normalizeFieldValues(node.data?.fields);
+    if (field === "x" || field === "y" || field === "w" || field === "h") return node[field] ?? null;
+    if (field === "files") {
+      return (node.data?.files || []).map((f) => {
+        const { dataUrl, ...rest } = serializeFile(f);
+        return rest;
+      });
+    }
+    return node.data?.[field] ?? null;
+  }
+
+  function sameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  // Stored copy of a node: serialised, without embedded file data.
+  function historyNode(n) {
+    const out = serializeNode(n);
+    out.data.files = historyValue(n, "files");
+    return out;
+  }
+
+  // One key per edge, as the validator counts duplicates: a solid and a dashed
+  // edge between the same two nodes are two edges.
+  const edgeKey = (e) => `${e.s}→${e.t}${e.dashed ? "|d" : ""}`;
+  const EDGE_FIELDS = ["dashed", "type", "label", "note", "date"];
+  const edgeValue = (e, field) => serializeEdge(e)[field];
+
+  // Changes from prev to next (both project objects); prev may be null for a
+  // project that was never saved before. opts.fields picks the compared node
+  // fields (default HISTORY_FIELDS; "x", "y", "w", "h" are also accepted).
+  function diffProjects(prev, next, opts = {}) {
+    const compared = opts.fields || HISTORY_FIELDS;
+    const changes = [];
+    const before = new Map((prev?.nodes || []).map((n) => [n.id, n]));
+    const after = new Map((next?.nodes || []).map((n) => [n.id, n]));
+
+    for (const [id, n] of after) {
+      const old = before.get(id);
+      if (!old) {
+        changes.push({ op: "node.create", id, node: historyNode(n) });
+        continue;
+      }
+      const fields = {};
+      for (const field of compared) {
+        const a = historyValue(old, field);
+        const b = historyValue(n, field);
+        if (!sameValue(a, b)) fields[field] = [a, b];
+      }
+      if (Object.keys(fields).length) changes.push({ op: "node.edit", id, fields });
+    }
+    for (const [id, n] of before) {
+      if (!after.has(id)) changes.push({ op: "node.delete", id, node: historyNode(n) });
+    }
+
+    const edgesBefore = new Map((prev?.edges || []).map((e) => [edgeKey(e), e]));
+    const edgesAfter = new Map((next?.edges || []).map((e) => [edgeKey(e), e]));
+    for (const [key, e] of edgesAfter) {
+      const old = edgesBefore.get(key);
+      if (!old) {
+        changes.push({ op: "edge.add", ...serializeEdge(e) });
+        continue;
+      }
+      const fields = {};
+      for (const field of EDGE_FIELDS) {
+        const a = edgeValue(old, field);
+        const b = edgeValue(e, field);
+        if (!sameValue(a, b)) fields[field] = [a, b];
+      }
+      if (Object.keys(fields).length) changes.push({ op: "edge.edit", s: e.s, t: e.t, ...(e.dashed ? { dashed: true } : {}), fields });
+    }
+    for (const [key, e] of edgesBefore) {
+      if (!edgesAfter.has(key)) changes.push({ op: "edge.remove", ...serializeEdge(e) });
+    }
+    return changes;
+  }
+
+  // One history line for a save, or null when nothing changed.
+  function historyEntry(prev, next, at = new Date()) {
+    const changes = diffProjects(prev, next);
+    if (!changes.length) return null;
+    return { at: new Date(at).toISOString(), changes };
+  }
+
+  // Reads a history file; unreadable lines are skipped and counted.
+  function parseHistory(text) {
+    const entries = [];
+    let skipped = 0;
+    for (const line of String(text || "").split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry && typeof entry.at === "string" && Array.isArray(entry.changes)) entries.push(entry);
+        else skipped++;
+      } catch {
+        skipped++;
+      }
+    }
+    return { entries, skipped };
+  }
+
+  function cloneJson(v) {
+    return v == null ? v : JSON.parse(JSON.stringify(v));
+  }
+
+  function applyHistoryFields(node, fields, side) {
+    const out = cloneJson(node);
+    for (const [field, pair] of Object.entries(fields || {})) {
+      const value = cloneJson(pair[side]);
+      if (field === "group") out.group = value;
+      else out.data[field] = value;
+    }
+    return out;
+  }
+
+  // Past versions of one node, newest first: { at, op, fields, node } where
+  // node is its state right after that save (for node.delete: right before;
+  // for the closing node.baseline row, at is null).
+  // Walks back from `current` (the live node, or null if it is gone), so
+  // nodes older than the history file still get their recorded edits.
+  function nodeHistory(entries, id, current) {
+    let cur = current ? historyNode(current) : null;
+    const versions = [];
+    for (let i = (entries || []).length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      for (const ch of entry.changes || []) {
+        if (ch.id !== id) continue;
+        if (ch.op === "node.delete") {
+          cur = cloneJson(ch.node);
+          versions.push({ at: entry.at, op: ch.op, fields: null, node: cur });
+        } else if (ch.op === "node.edit") {
+          if (!cur) continue;
+          versions.push({ at: entry.at, op: ch.op, fields: ch.fields, node: cur });
+          cur = applyHistoryFields(cur, ch.fields, 0);
+        } else if (ch.op === "node.create") {
+          versions.push({ at: entry.at, op: ch.op, fields: null, node: cur || cloneJson(ch.node) });
+          cur = null;
+        }
+      }
+    }
+    // Node older than the history file: its state before the first recorded edit
+    if (cur && versions.length) versions.push({ at: null, op: "node.baseline", fields: null, node: cur });
+    return versions;
+  }
+
+  // Nodes deleted in some save and not present any more, newest deletion
+  // first, with the edges removed together with them.
+  function deletedNodes(entries, currentIds) {
+    const alive = new Set(currentIds || []);
+    const seen = new Set();
+    const out = [];
+    for (let i = (entries || []).length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      for (const ch of entry.changes || []) {
+        if (ch.op !== "node.delete" || alive.has(ch.id) || seen.has(ch.id)) continue;
+        seen.add(ch.id);
+        const edges = entry.changes
+          .filter((e) => e.op === "edge.remove" && (e.s === ch.id || e.t === ch.id))
+          .map(({ op, ...e }) => serializeEdge(e));
+        out.push({ at: entry.at, id: ch.id, node: cloneJson(ch.node), edges });
+      }
+    }
+    return out;
+  }
+
+  /* ---------- Diff / merge ---------- */
+  // Comparing two copies of a project folder, keyed by node id (edges by
+  // source→target). The merge is three-way against a common ancestor: a field
+  // changed on one side only wins, tags/areas/links/files are merged as sets
+  // (removals on either side are kept) and anything else changed on both sides
+  // is a conflict. Conflicts keep "ours"; title/desc also get git-style markers
+  // so they are visible in the editor. A node or edge deleted on one side and
+  // edited on the other is kept and reported as a conflict.
+  const MERGE_FIELDS = [...HISTORY_FIELDS, "x", "y", "w", "h"];
+  const MERGE_UNION_FIELDS = ["tags", "areas", "links", "files"];
+  const MERGE_TEXT_FIELDS = ["title", "desc"];
+
+  function mergeItemKey(field, item) {
+    if (field === "files") return normalizeAssetPath(item?.path) || `name:${item?.name || ""}`;
+    if (field === "areas") return areaDedupeKey(item);
+    if (field === "links") return linkKey(item);
+    return collapseSpaces(item).toLowerCase();
+  }
+
+  // ours ∪ theirs, minus items of base that either side removed.
+  function mergeUnion(field, base, ours, theirs) {
+    const key = (item) => mergeItemKey(field, item);
+    const inBase = new Set((base || []).map(key));
+    const inOurs = new Set((ours || []).map(key));
+    const inTheirs = new Set((theirs || []).map(key));
+    const seen = new Set();
+    const out = [];
+    for (const item of [...(ours || []), ...(theirs || [])]) {
+      const k = key(item);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      if (inBase.has(k) && !(inOurs.has(k) && inTheirs.has(k))) continue;
+      out.push(cloneJson(item));
+    }
+    return out;
+  }
+
+  function conflictMarkers(ours, theirs) {
+    return `<<<<<<< ours\n${ours ?? ""}\n=======\n${theirs ?? ""}\n>>>>>>> theirs`;
+  }
+
+  // Like historyValue, but files keep their embedded dataUrl.
+  function mergeValue(node, field) {
+    if (field === "files") return (node.data?.files || []).map(serializeFile);
+    return cloneJson(historyValue(node, field));
+  }
+
+  function setMergeField(node, field, value) {
+    if (field === "group" || field === "x" || field === "y" || field === "w" || field === "h") node[field] = value;
+    else node.data[field] = value;
+  }
+
+  // Field-by-field merge of one node present on both sides (base may be null
+  // when both sides added the same id).
+  function mergeNode(base, ours, theirs, conflicts) {
+    const out = serializeNode(ours);
+    for (const field of MERGE_FIELDS) {
+      const b = base ? historyValue(base, field) : undefined;
+      const o = historyValue(ours, field);
+      const t = historyValue(theirs, field);
+      if (sameValue(o, t) || (base && sameValue(t, b))) continue;
+      if (base && sameValue(o, b)) {
+        setMergeField(out, field, mergeValue(theirs, field));
+        continue;
+      }
+      if (MERGE_UNION_FIELDS.includes(field)) {
+        setMergeField(out, field, mergeUnion(field, b, mergeValue(ours, field), mergeValue(theirs, field)));
+        continue;
+      }
+      if (MERGE_TEXT_FIELDS.includes(field)) setMergeField(out, field, conflictMarkers(o, t));
+      conflicts.push({ id: ours.id, title: ours.data?.title || "", field, base: b ?? null, ours: o, theirs: t });
+    }
+    return out;
+  }
+
+  // Same rule as node fields: a side that left a field as in base takes the
+  // other side's edit; two different edits keep ours and report a conflict.
+  function mergeMeta(base, ours, theirs, conflicts) {
+    const b = normalizeMeta(base?.meta);
+    const o = normalizeMeta(ours?.meta);
+    const t = normalizeMeta(theirs?.meta);
+    const out = { ...o };
+    for (const field of META_FIELDS) {
+      if (sameValue(o[field], t[field])) continue;
+      if (base && sameValue(o[field], b[field])) out[field] = t[field];
+      else if (!base || !sameValue(t[field], b[field])) {
+        conflicts.push({ id: "project", title: o.title, field: `meta.${field}`, base: base ? b[field] : null, ours: o[field], theirs: t[field] });
+      }
+    }
+    return out;
+  }
+
+  // { project, conflicts: [{ id, title, field, base, ours, theirs }], stats }
+  // All three inputs are migrated to the current version first; base may be
+  // null (two-way merge: nothing counts as removed).
+  function mergeProjects(baseJson, oursJson, theirsJson) {
+    const base = baseJson ? normalizeProject(baseJson).project : null;
+    const ours = normalizeProject(oursJson).project;
+    const theirs = normalizeProject(theirsJson).project;
+    const conflicts = [];
+    const stats = { kept: 0, merged: 0, added: 0, removed: 0 };
+    const byId = (p) => new Map((p?.nodes || []).map((n) => [n.id, n]));
+    const B = byId(base);
+    const O = byId(ours);
+    const T = byId(theirs);
+    const differs = (a, b) => diffProjects({ nodes: [a] }, { nodes: [b] }, { fields: MERGE_FIELDS }).length > 0;
+
+    const nodes = [];
+    // Nodes deleted on one side but kept for the other side's edit.
+    const revived = new Set();
+    const ids = [...O.keys(), ...[...T.keys()].filter((id) => !O.has(id))];
+    for (const id of ids) {
+      const b = B.get(id) || null;
+      const o = O.get(id) || null;
+      const t = T.get(id) || null;
+      if (o && t) {
+        const merged = mergeNode(b, o, t, conflicts);
+        stats[differs(o, merged) ? "merged" : "kept"]++;
+        nodes.push(merged);
+      } else if (o || t) {
+        const only = o || t;
+        if (!b) {
+          if (!o) stats.added++;
+          else stats.kept++;
+          nodes.push(serializeNode(only));
+        } else if (differs(b, only)) {
+          // changed on one side, deleted on the other: keep the edit
+          conflicts.push({
+            id,
+            title: only.data?.title || "",
+            field: "node",
+            base: "present",
+            ours: o ? "modified" : "deleted",
+            theirs: t ? "modified" : "deleted",
+          });
+          nodes.push(serializeNode(only));
+          revived.add(id);
+        } else stats.removed++;
+      }
+    }
+
+    const alive = new Set(nodes.map((n) => n.id));
+    const edgeMap = (p) => new Map((p?.edges || []).map((e) => [edgeKey(e), e]));
+    const EB = edgeMap(base);
+    const EO = edgeMap(ours);
+    const ET = edgeMap(theirs);
+    const edges = [];
+    for (const key of new Set([...EO.keys(), ...ET.keys()])) {
+      const b = EB.get(key);
+      const o = EO.get(key);
+      const t = ET.get(key);
+      const e = o || t;
+      if (!alive.has(e.s) || !alive.has(e.t)) continue;
+      // The side that deleted a revived node dropped its edges with it: the
+      // editing side's edges come back along with the node.
+      const withRevived = revived.has(e.s) || revived.has(e.t);
+      if (b && !(o && t) && !withRevived) {
+        // removed on one side: gone, unless the other side edited it
+        if (!EDGE_FIELDS.some((field) => !sameValue(edgeValue(e, field), edgeValue(b, field)))) continue;
+        conflicts.push({
+          id: key,
+          title: e.label || "",
+          field: "edge",
+          base: "present",
+          ours: o ? "modified" : "deleted",
+          theirs: t ? "modified" : "deleted",
+        });
+      }
+      const edge = serializeEdge(e);
+      for (const field of o && t ? EDGE_FIELDS : []) {
+        const ov = edgeValue(o, field);
+        const tv = edgeValue(t, field);
+        if (sameValue(ov, tv)) continue;
+        const bv = b ? edgeValue(b, field) : null;
+        if (b && sameValue(ov, bv)) edge[field] = tv;
+        else if (!b || !sameValue(tv, bv)) {
+          conflicts.push({ id: key, title: "", field: `edge.${field}`, base: bv, ours: ov, theirs: tv });
+        }
+      }
+      edges.push(edge);
+    }
+
+    const union = (a, b) => {
+      const seen = new Set();
+      return [...(a || []), ...(b || [])].filter((v) => {
+        const k = String(v).toLowerCase();
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      });
+    };
+    const vo = ours?.vocab || {};
+    const vt = theirs?.vocab || {};
+    const project = serializeProject({
+      version: Math.max(projectVersion(ours), projectVersion(theirs)),
+      meta: mergeMeta(base, ours, theirs, conflicts),
+      nodes,
+      edges,
+      // same id on both sides: ours wins (title, colour, note)
+      groups: normalizeGroups([...(ours.groups || []), ...(theirs.groups || [])], nodes),
+      relations: normalizeRelations([...(ours.relations || []), ...(theirs.relations || [])], edges),
+      types: normalizeTypes([...(ours.types || []), ...(theirs.types || [])], nodes),
+      // areas assigned on either side are kept; ours wins where they disagree
+      macros: normalizeMacros([...(ours.macros || DEFAULT_MACROS), ...(theirs.macros || DEFAULT_MACROS)]),
+      // same term on both sides: ours keeps its parent, synonyms are joined
+      terms: Object.fromEntries(
+        TERM_KINDS.map((k) => [
+          k,
+          normalizeTermList([...(ours.terms?.[k] || []), ...(theirs.terms?.[k] || [])], k),
+        ])
+      ),
+      vocab: { areas: union(vo.areas, vt.areas), tags: union(vo.tags, vt.tags), type: union(vo.type, vt.type) },
+    });
+    return { project, conflicts, stats };
+  }
+
+  // Node/edge/field differences between a and b, grouped for display.
+  function compareProjects(a, b) {
+    const changes = diffProjects(a, b, { fields: MERGE_FIELDS });
+    const out = {
+      meta: {},
+      nodes: { added: [], removed: [], changed: [] },
+      edges: { added: [], removed: [], changed: [] },
+    };
+    const ma = normalizeMeta(a?.meta);
+    const mb = normalizeMeta(b?.meta);
+    for (const field of META_FIELDS) {
+      if (!sameValue(ma[field], mb[field])) out.meta[field] = [ma[field], mb[field]];
+    }
+    for (const ch of changes) {
+      if (ch.op === "node.create") out.nodes.added.push(ch.node);
+      else if (ch.op === "node.delete") out.nodes.removed.push(ch.node);
+      else if (ch.op === "node.edit") {
+        const node = (b.nodes || []).find((n) => n.id === ch.id);
+        out.nodes.changed.push({ id: ch.id, title: node?.data?.title || "", fields: ch.fields });
+      } else if (ch.op === "edge.add" || ch.op === "edge.remove") {
+        const { op, ...edge } = ch;
+        out.edges[op === "edge.add" ? "added" : "removed"].push(edge);
+      }
+      else if (ch.op === "edge.edit") out.edges.changed.push({ s: ch.s, t: ch.t, dashed: !!ch.dashed, fields: ch.fields });
+    }
+    return out;
+  }
+
+  /* ---------- Workspace ---------- */
+  // Several project folders opened as one graph. Node ids become
+  // "<project>:<id>" (project = folder name); a project.json uses the same
+  // form in an edge end to point at a node of another project. Roots (nodes
+  // with no incoming edge) that have the same type and title in several
+  // projects, like the shared Brief, are merged into one node. Asset paths
+  // get the folder in front ("2_media/assets/x.jpg") so the combined project
+  // reads them from the workspace root; splitWorkspace() undoes all of it.
+  const NODE_REF_SEP = ":";
+  const WORKSPACE_GAP = 2000;
+
+  // "2_media:ny15p0wg" → { project: "2_media", id: "ny15p0wg" }; a plain id
+  // has project null. Editor ids never contain the separator.
+  function parseNodeRef(ref) {
+    const s = String(ref ?? "");
+    const i = s.indexOf(NODE_REF_SEP);
+    return i > 0 ? { project: s.slice(0, i), id: s.slice(i + 1) } : { project: null, id: s };
+  }
+
+  function nodeRef(project, id) {
+    return project ? `${project}${NODE_REF_SEP}${id}` : String(id);
+  }
+
+  function sharedNodeKey(n) {
+    const title = collapseSpaces(n?.data?.title).toLowerCase();
+    return title ? `${typeKey(n?.data?.type)}|${title}` : "";
+  }
+
+  // entries: [{ name, project }] in workspace order. Of a shared root the
+  // fullest copy is shown (the longest data, the earliest on a tie).
+  // Returns { project, shared, offsets, stats }: shared maps a merged node's
+  // id to every [{ project, id }] it stands for, the shown copy first;
+  // offsets is where each project's canvas was moved to (below the previous).
+  function combineWorkspace(entries) {
+    const list = (entries || []).map((e) => ({ name: String(e.name), project: normalizeProject(e.project).project }));
+    const names = new Set(list.map((e) => e.name));
+    const idMaps = new Map(list.map((e) => [e.name, new Map()]));
+    const shared = {};
+    const offsets = {};
+    const nodes = [];
+
+    const rootKeys = new Map();
+    for (const { name, project } of list) {
+      const hasIncoming = new Set((project.edges || []).map((e) => String(e?.t || "")));
+      for (const n of project.nodes || []) {
+        const key = hasIncoming.has(String(n.id)) ? "" : sharedNodeKey(n);
+        if (!key) continue;
+        if (!rootKeys.has(key)) rootKeys.set(key, []);
+        const size = JSON.stringify(n.data || {}).length;
+        if (!rootKeys.get(key).some((r) => r.project === name)) rootKeys.get(key).push({ project: name, id: String(n.id), size });
+      }
+    }
+    const sharedOf = new Map();
+    for (const copies of rootKeys.values()) {
+      if (copies.length < 2) continue;
+      const fullest = copies.reduce((best, c) => (c.size > best.size ? c : best));
+      const refs = [fullest, ...copies.filter((c) => c !== fullest)].map(({ project, id }) => ({ project, id }));
+      const id = nodeRef(refs[0].project, refs[0].id);
+      shared[id] = refs;
+      for (const r of refs) sharedOf.set(nodeRef(r.project, r.id), id);
+    }
+
+    let top = 0;
+    for (const { name, project } of list) {
+      const own = project.nodes || [];
+      const minX = own.length ? Math.min(...own.map((n) => Number(n.x) || 0)) : 0;
+      const minY = own.length ? Math.min(...own.map((n) => Number(n.y) || 0)) : 0;
+      const maxY = own.length ? Math.max(...own.map((n) => (Number(n.y) || 0) + (Number(n.h) || NODE_H))) : 0;
+      offsets[name] = { x: -minX, y: top - minY };
+      top += maxY - minY + WORKSPACE_GAP;
+
+      const ids = idMaps.get(name);
+      for (const n of own) {
+        const ref = nodeRef(name, n.id);
+        const merged = sharedOf.get(ref);
+        ids.set(String(n.id), merged || ref);
+        if (merged && merged !== ref) continue;
+        const group = groupIdOf(n.group);
+        nodes.push({
+          ...n,
+          id: ref,
+          x: (Number(n.x) || 0) + offsets[name].x,
+          y: (Number(n.y) || 0) + offsets[name].y,
+          group: group ? nodeRef(name, group) : null,
+          data: workspaceData(n.data, (p) => `${name}/${p}`),
+        });
+      }
+    }
+
+    // Local ends go through the project's id map; "<project>:<id>" ends
+    // through that project's map when it is open, else they stay as written.
+    const resolve = (name, end) => {
+      const { project, id } = parseNodeRef(end);
+      if (project == null) return idMaps.get(name).get(id) || nodeRef(name, id);
+      return names.has(project) ? idMaps.get(project).get(id) || String(end) : String(end);
+    };
+    const edges = [];
+    const seen = new Set();
+    let crossEdges = 0;
+    for (const { name, project } of list) {
+      for (const e of project.edges || []) {
+        const s = resolve(name, e.s);
+        const t = resolve(name, e.t);
+        const key = `${s}→${t}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        if (parseNodeRef(e.s).project != null || parseNodeRef(e.t).project != null) crossEdges += 1;
+        edges.push({ ...e, s, t });
+      }
+    }
+
+    const groups = [];
+    for (const { name, project } of list) {
+      for (const g of normalizeGroups(project.groups, project.nodes)) groups.push({ ...g, id: nodeRef(name, g.id) });
+    }
+    const all = (field) => list.flatMap((e) => (Array.isArray(e.project[field]) ? e.project[field] : []));
+    const metas = list.map((e) => normalizeMeta(e.project.meta));
+    const starts = metas.map((m) => m.start).filter(Boolean).sort();
+    const ends = metas.map((m) => m.end).filter(Boolean).sort();
+    const project = {
+      version: PROJECT_VERSION,
+      meta: {
+        title:
+          list.length > 3
+            ? `Workspace: ${list.length} projects`
+            : `Workspace: ${list.map((e) => projectTitle(e.project, e.name)).join(", ")}`,
+        authors: normalizeAuthors(metas.flatMap((m) => m.authors)),
+        course: [...new Set(metas.map((m) => m.course).filter(Boolean))].join("; "),
+        start: starts[0] || "",
+        end: ends[ends.length - 1] || "",
+      },
+      nodes,
+      edges,
+      groups,
+      relations: normalizeRelations(all("relations"), edges),
+      types: normalizeTypes(all("types"), nodes),
+      macros: normalizeMacros(all("macros")),
+      terms: {
+        areas: list.flatMap((e) => normalizeTerms(e.project.terms).areas),
+        tags: list.flatMap((e) => normalizeTerms(e.project.terms).tags),
+      },
+    };
+    return {
+      project,
+      shared,
+      offsets,
+      stats: {
+        projects: list.length,
+        nodes: nodes.length,
+        sharedNodes: Object.keys(shared).length,
+        mergedCopies: Object.values(shared).reduce((a, refs) => a + refs.length - 1, 0),
+        crossEdges,
+      },
+    };
+  }
+
+  function workspaceData(data, mapPath) {
+    const d = data && typeof data === "object" ? data : {};
+    if (!Array.isArray(d.files)) return { ...d };
+    return {
+      ...d,
+      files: d.files.map((f) => {
+        const p = normalizeAssetPath(f?.path);
+        return p ? { ...f, path: mapPath(p) } : f;
+      }),
+    };
+  }
+
+  // Project each node of a combined workspace is saved in: the one of its
+  // "<project>:" prefix, for a merged root the project of the shown copy. A
+  // node added in the workspace joins the project of the first node it is
+  // linked to, the first project otherwise.
+  function workspaceOwners(combined, ws) {
+    const names = ws.projects.map((p) => p.name);
+    const shared = ws.shared || {};
+    const nodes = Array.isArray(combined?.nodes) ? combined.nodes : [];
+    const edges = Array.isArray(combined?.edges) ? combined.edges : [];
+    const byId = new Map(nodes.map((n) => [String(n.id), n]));
+    const owner = new Map();
+    for (const n of nodes) {
+      const { project } = parseNodeRef(n.id);
+      if (shared[n.id]) owner.set(String(n.id), shared[n.id][0].project);
+      else if (names.includes(project)) owner.set(String(n.id), project);
+    }
+    for (let changed = true; changed; ) {
+      changed = false;
+      for (const e of edges) {
+        for (const [a, b] of [[e.s, e.t], [e.t, e.s]]) {
+          if (!byId.has(a) || owner.has(a)) continue;
+          const home = owner.get(b);
+          if (home) {
+            owner.set(a, home);
+            changed = true;
+          }
+        }
+      }
+    }
+    for (const n of nodes) if (!owner.has(n.id)) owner.set(String(n.id), names[0]);
+    return owner;
+  }
+
+  // Back to one project.json per folder. ws = { projects: [{ name, project }]
+  // (as opened), shared, offsets } from combineWorkspace(). Each project keeps
+  // its own meta, types, macros and terms. A merged root goes back into every
+  // project it came from as that project's own copy, with only the data
+  // fields edited in the workspace applied to it. Other nodes go to their
+  // workspaceOwners() project; an edge is stored with its source's project,
+  // ends in another project written as "<project>:<id>".
+  function splitWorkspace(combined, ws) {
+    const names = ws.projects.map((p) => p.name);
+    const shared = ws.shared || {};
+    const nodes = Array.isArray(combined?.nodes) ? combined.nodes : [];
+    const edges = Array.isArray(combined?.edges) ? combined.edges : [];
+    const byId = new Map(nodes.map((n) => [String(n.id), n]));
+    const owner = workspaceOwners(combined, ws);
+    const sharedIn = (id, name) => (shared[id] || []).find((r) => r.project === name);
+
+    const localId = (id) => {
+      const { project, id: rest } = parseNodeRef(id);
+      return names.includes(project) ? rest : String(id);
+    };
+    // How project `name` writes a reference to combined node `id`.
+    const refIn = (name, id) => {
+      if (!byId.has(id)) return String(id);
+      const here = sharedIn(id, name);
+      if (here) return here.id;
+      if (shared[id]) return nodeRef(shared[id][0].project, shared[id][0].id);
+      const home = owner.get(id);
+      return home === name ? localId(id) : nodeRef(home, localId(id));
+    };
+    const edgeHome = (e) => {
+      if (byId.has(e.s) && !shared[e.s]) return owner.get(e.s);
+      if (byId.has(e.t) && !shared[e.t]) return owner.get(e.t);
+      return owner.get(e.s) || owner.get(e.t) || names[0];
+    };
+
+    const opened = new Map(
+      ws.projects.map(({ name, project }) => [name, new Map((project.nodes || []).map((n) => [String(n.id), n]))])
+    );
+    // Data fields of a merged node that differ from its shown copy as opened.
+    const editedData = (n) => {
+      const first = shared[n.id][0];
+      const before = opened.get(first.project)?.get(first.id)?.data || {};
+      const now = workspaceData(n.data, (p) => (p.startsWith(`${first.project}/`) ? p.slice(first.project.length + 1) : p));
+      const out = {};
+      for (const k of new Set([...Object.keys(before), ...Object.keys(now)])) {
+        if (JSON.stringify(before[k]) !== JSON.stringify(now[k])) out[k] = now[k];
+      }
+      return out;
+    };
+    // x/y back from the combined canvas; an unmoved node keeps its exact value.
+    const unshift = (v, off, was) => (was != null && Math.abs(v - off - was) < 1e-6 ? was : v - off);
+
+    return ws.projects.map(({ name, project: base }) => {
+      const off = ws.offsets?.[name] || { x: 0, y: 0 };
+      const original = opened.get(name);
+      const prefix = `${name}/`;
+      const mapPath = (p) => (p.startsWith(prefix) ? p.slice(prefix.length) : p);
+      const groupIn = (g) => {
+        const id = groupIdOf(g);
+        if (!id) return null;
+        const { project, id: rest } = parseNodeRef(id);
+        return project === name ? rest : project == null ? id : null;
+      };
+      const outNodes = [];
+      for (const n of nodes) {
+        const here = sharedIn(n.id, name);
+        if (here) {
+          const o = original.get(here.id);
+          outNodes.push(
+            o
+              ? { ...o, data: { ...o.data, ...workspaceData(editedData(n), mapPath) } }
+              : { ...n, id: here.id, x: n.x - off.x, y: n.y - off.y, group: null, data: workspaceData(n.data, mapPath) }
+          );
+        } else if (!shared[n.id] && owner.get(n.id) === name) {
+          const o = original.get(localId(n.id));
+          outNodes.push({
+            ...n,
+            id: localId(n.id),
+            x: unshift(n.x, off.x, o?.x),
+            y: unshift(n.y, off.y, o?.y),
+            group: groupIn(n.group),
+            data: workspaceData(n.data, mapPath),
+          });
+        }
+      }
+      const outEdges = edges
+        .filter((e) => {
+          const home = edgeHome(e);
+          return home === name || (shared[e.s] && shared[e.t] && sharedIn(e.s, name) && sharedIn(e.t, name));
+        })
+        .map((e) => ({ ...e, s: refIn(name, e.s), t: refIn(name, e.t) }));
+      // Nodes keep their place in the project; new ones follow.
+      const order = new Map([...original.keys()].map((id, i) => [id, i]));
+      const rank = (n) => order.get(n.id) ?? order.size;
+      outNodes.sort((x, y) => rank(x) - rank(y));
+      const usedGroups = new Set(outNodes.map((n) => n.group).filter(Boolean));
+      const outGroups = (Array.isArray(combined?.groups) ? combined.groups : [])
+        .map((g) => ({ ...g, id: groupIn(g.id) }))
+        .filter((g) => g.id && usedGroups.has(g.id));
+      return {
+        name,
+        project: serializeProject({ ...base, nodes: outNodes, edges: outEdges, groups: outGroups }),
+      };
+    });
+  }
+
+  /* ---------- Layout ---------- */
+  // Layered (Sugiyama-style) left-to-right layout:
+  //   1. cycles broken by reversing DFS back edges;
+  //   2. longest-path ranking, then sources pulled next to their first child;
+  //   3. long edges split with dummy nodes, one per crossed layer;
+  //   4. barycentric ordering sweeps plus adjacent swaps, keeping the order
+  //      with fewest crossings;
+  //   5. y by isotonic regression towards the neighbours' centres, so measured
+  //      heights never overlap, x by column (widest node per layer).
+  // Weakly connected parts are laid out one under the other; nodes without
+  // edges go in a grid below them. Returns { positions: Map(id -> {x, y}),
+  // layers, crossings }.
+  const LAYOUT_DEFAULTS = {
+    hgap: 160,
+    vgap: 40,
+    dummyGap: 12,
+    componentGap: 120,
+    sweeps: 24,
+    origin: { x: 0, y: 0 },
+  };
+
+  function layoutComponents(ids, adj) {
+    const seen = new Set();
+    const out = [];
+    for (const id of ids) {
+      if (seen.has(id)) continue;
+      const comp = [];
+      const stack = [id];
+      seen.add(id);
+      while (stack.length) {
+        const u = stack.pop();
+        comp.push(u);
+        for (const v of adj.get(u)) {
+          if (!seen.has(v)) {
+            seen.add(v);
+            stack.push(v);
+          }
+        }
+      }
+      out.push(comp);
+    }
+    return out;
+  }
+
+  // Reverses back edges of an iterative DFS (visiting in `ids` order).
+  function acyclicEdges(ids, edges) {
+    const out = new Map(ids.map((id) => [id, []]));
+    for (const e of edges) out.get(e.s).push(e.t);
+    const state = new Map(); // 1 = on stack, 2 = done
+    const result = [];
+    for (const root of ids) {
+      if (state.has(root)) continue;
+      const stack = [[root, 0]];
+      state.set(root, 1);
+      while (stack.length) {
+        const top = stack[stack.length - 1];
+        const [u, i] = top;
+        const next = out.get(u);
+        if (i >= next.length) {
+          state.set(u, 2);
+          stack.pop();
+          continue;
+        }
+        top[1]++;
+        const v = next[i];
+        if (state.get(v) === 1) result.push({ s: v, t: u, reversed: true });
+        else {
+          result.push({ s: u, t: v, reversed: false });
+          if (!state.has(v)) {
+            state.set(v, 1);
+            stack.push([v, 0]);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  function rankNodes(ids, dag) {
+    const preds = new Map(ids.map((id) => [id, []]));
+    const succs = new Map(ids.map((id) => [id, []]));
+    const indeg = new Map(ids.map((id) => [id, 0]));
+    for (const e of dag) {
+      preds.get(e.t).push(e.s);
+      succs.get(e.s).push(e.t);
+      indeg.set(e.t, indeg.get(e.t) + 1);
+    }
+    const rank = new Map();
+    const queue = ids.filter((id) => indeg.get(id) === 0);
+    const topo = [];
+    while (queue.length) {
+      const u = queue.shift();
+      topo.push(u);
+      rank.set(u, Math.max(0, ...preds.get(u).map((p) => rank.get(p) + 1)));
+      for (const v of succs.get(u)) {
+        indeg.set(v, indeg.get(v) - 1);
+        if (indeg.get(v) === 0) queue.push(v);
+      }
+    }
+    // Sources sit right before their nearest successor instead of column 0
+    for (let i = topo.length - 1; i >= 0; i--) {
+      const u = topo[i];
+      if (preds.get(u).length || !succs.get(u).length) continue;
+      rank.set(u, Math.min(...succs.get(u).map((v) => rank.get(v))) - 1);
+    }
+    return rank;
+  }
+
+  // Crossings between two adjacent layers (inversion count).
+  function countCrossings(upper, lower, links) {
+    const posLower = new Map(lower.map((id, i) => [id, i]));
+    const pairs = [];
+    upper.forEach((u, i) => {
+      for (const v of links.get(u) || []) if (posLower.has(v)) pairs.push([i, posLower.get(v)]);
+    });
+    pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    const tree = new Array(lower.length + 1).fill(0);
+    let crossings = 0;
+    for (let k = 0; k < pairs.length; k++) {
+      const p = pairs[k][1] + 1;
+      // earlier pairs that end strictly below p cross this one
+      let le = 0;
+      for (let i = p; i > 0; i -= i & -i) le += tree[i];
+      crossings += k - le;
+      for (let i = p; i <= lower.length; i += i & -i) tree[i]++;
+    }
+    return crossings;
+  }
+
+  // Least-squares positions closest to `want` keeping order and minimum
+  // spacing: pool-adjacent-violators on want[i] - offset[i].
+  function spacedPositions(want, sizes, gaps) {
+    const n = want.length;
+    const offset = new Array(n).fill(0);
+    for (let i = 1; i < n; i++) offset[i] = offset[i - 1] + sizes[i - 1] + gaps[i - 1];
+    const blocks = [];
+    for (let i = 0; i < n; i++) {
+      blocks.push({ sum: want[i] - offset[i], count: 1 });
+      while (blocks.length > 1) {
+        const b = blocks[blocks.length - 1];
+        const a = blocks[blocks.length - 2];
+        if (a.sum / a.count <= b.sum / b.count) break;
+        a.sum += b.sum;
+        a.count += b.count;
+        blocks.pop();
+      }
+    }
+    const out = [];
+    for (const b of blocks) for (let k = 0; k < b.count; k++) out.push(b.sum / b.count + offset[out.length]);
+    return out;
+  }
+
+  function layoutComponent(ids, edges, size, o) {
+    const byId = new Set(ids);
+    const dag = acyclicEdges(
+      ids,
+      edges.filter((e) => byId.has(e.s) && byId.has(e.t))
+    );
+    const rank = rankNodes(ids, dag);
+    const minRank = Math.min(...ids.map((id) => rank.get(id)));
+    const layers = [];
+    const put = (id, r) => (layers[r - minRank] ||= []).push(id);
+    ids.forEach((id) => put(id, rank.get(id)));
+
+    // Dummy chains; links are directed down the layers
+    const down = new Map(ids.map((id) => [id, []]));
+    const up = new Map(ids.map((id) => [id, []]));
+    const isDummy = new Set();
+    let dummySeq = 0;
+    const link = (a, b) => {
+      down.get(a).push(b);
+      up.get(b).push(a);
+    };
+    for (const e of dag) {
+      let prev = e.s;
+      for (let r = rank.get(e.s) + 1; r < rank.get(e.t); r++) {
+        const d = `\u0000d${dummySeq++}`;
+        isDummy.add(d);
+        down.set(d, []);
+        up.set(d, []);
+        put(d, r);
+        link(prev, d);
+        prev = d;
+      }
+      link(prev, e.t);
+    }
+    for (let i = 0; i < layers.length; i++) layers[i] ||= [];
+
+    // Ordering: start from the current vertical order, then barycenter sweeps
+    const start = (id) => (isDummy.has(id) ? 0 : size(id).y);
+    layers.forEach((layer) => layer.sort((a, b) => start(a) - start(b)));
+    const total = (ls) => {
+      let c = 0;
+      for (let i = 0; i + 1 < ls.length; i++) c += countCrossings(ls[i], ls[i + 1], down);
+      return c;
+    };
+    let best = layers.map((l) => l.slice());
+    let bestCrossings = total(best);
+    const sweepLayer = (layer, fixed, neighbours) => {
+      const pos = new Map(fixed.map((id, i) => [id, i]));
+      const key = new Map();
+      layer.forEach((id, i) => {
+        const ns = neighbours.get(id).filter((v) => pos.has(v));
+        key.set(id, ns.length ? ns.reduce((s, v) => s + pos.get(v), 0) / ns.length : i);
+      });
+      layer.sort((a, b) => key.get(a) - key.get(b));
+    };
+    // Crossings of u's edges with v's edges when u is placed above v
+    const pairCrossings = (u, v, pos, neighbours) => {
+      let c = 0;
+      for (const a of neighbours.get(u)) for (const b of neighbours.get(v)) if (pos.get(a) > pos.get(b)) c++;
+      return c;
+    };
+    // Swaps adjacent nodes while that removes crossings with both neighbour layers
+    const transpose = (ls) => {
+      const pos = new Map();
+      ls.forEach((l) => l.forEach((id, i) => pos.set(id, i)));
+      for (let round = 0, improved = true; improved && round < 4; round++) {
+        improved = false;
+        for (const layer of ls) {
+          for (let i = 0; i + 1 < layer.length; i++) {
+            const u = layer[i];
+            const v = layer[i + 1];
+            const keep = pairCrossings(u, v, pos, up) + pairCrossings(u, v, pos, down);
+            const swap = pairCrossings(v, u, pos, up) + pairCrossings(v, u, pos, down);
+            if (swap < keep) {
+              layer[i] = v;
+              layer[i + 1] = u;
+              pos.set(v, i);
+              pos.set(u, i + 1);
+              improved = true;
+            }
+          }
+        }
+      }
+    };
+    const cur = best.map((l) => l.slice());
+    for (let s = 0; s < o.sweeps && bestCrossings > 0; s++) {
+      if (s % 2 === 0) for (let i = 1; i < cur.length; i++) sweepLayer(cur[i], cur[i - 1], up);
+      else for (let i = cur.length - 2; i >= 0; i--) sweepLayer(cur[i], cur[i + 1], down);
+      transpose(cur);
+      const c = total(cur);
+      if (c < bestCrossings) {
+        bestCrossings = c;
+        best = cur.map((l) => l.slice());
+      }
+    }
+
+    // Coordinates: columns by widest node, y aligned to neighbours' centres
+    const h = (id) => (isDummy.has(id) ? 0 : size(id).h);
+    const colX = [];
+    let x = 0;
+    for (const layer of best) {
+      colX.push(x);
+      x += Math.max(0, ...layer.filter((id) => !isDummy.has(id)).map((id) => size(id).w)) + o.hgap;
+    }
+    const y = new Map();
+    for (const layer of best) {
+      let acc = 0;
+      for (const id of layer) {
+        y.set(id, acc);
+        acc += h(id) + (isDummy.has(id) ? o.dummyGap : o.vgap);
+      }
+    }
+    const centre = (id) => y.get(id) + h(id) / 2;
+    const align = (layer, neighbours) => {
+      const want = layer.map((id) => {
+        const ns = neighbours(id);
+        return ns.length ? ns.reduce((s, v) => s + centre(v), 0) / ns.length - h(id) / 2 : y.get(id);
+      });
+      const gaps = layer.map((id, i) => {
+        const next = layer[i + 1];
+        return isDummy.has(id) || (next && isDummy.has(next)) ? o.dummyGap : o.vgap;
+      });
+      spacedPositions(want, layer.map(h), gaps).forEach((v, i) => y.set(layer[i], v));
+    };
+    for (let pass = 0; pass < 8; pass++) {
+      if (pass % 2 === 0) for (let i = 1; i < best.length; i++) align(best[i], (id) => up.get(id));
+      else for (let i = best.length - 2; i >= 0; i--) align(best[i], (id) => down.get(id));
+    }
+    for (const layer of best) align(layer, (id) => [...up.get(id), ...down.get(id)]);
+
+    const positions = new Map();
+    best.forEach((layer, i) => {
+      for (const id of layer) if (!isDummy.has(id)) positions.set(id, { x: colX[i], y: y.get(id) });
+    });
+    return { positions, layers: best.length, crossings: bestCrossings };
+  }
+
+  // nodes: [{ id, x, y, w, h }], edges: [{ s, t }]
+  function layeredLayout(nodes, edges, opts = {}) {
+    const o = { ...LAYOUT_DEFAULTS, ...opts };
+    const list = (nodes || []).filter((n) => n && n.id);
+    const byId = new Map(list.map((n) => [n.id, n]));
+    const size = (id) => {
+      const n = byId.get(id);
+      return { w: n.w || NODE_W, h: n.h || NODE_H, y: n.y || 0 };
+    };
+    const seenEdge = new Set();
+    const useful = (edges || []).filter((e) => {
+      const k = `${e.s}→${e.t}`;
+      if (e.s === e.t || !byId.has(e.s) || !byId.has(e.t) || seenEdge.has(k)) return false;
+      seenEdge.add(k);
+      return true;
+    });
+    const adj = new Map(list.map((n) => [n.id, []]));
+    for (const e of useful) {
+      adj.get(e.s).push(e.t);
+      adj.get(e.t).push(e.s);
+    }
+    // Stable input order: left to right, then top to bottom
+    const ids = list
+      .slice()
+      .sort((a, b) => (a.x || 0) - (b.x || 0) || (a.y || 0) - (b.y || 0))
+      .map((n) => n.id);
+    const comps = layoutComponents(ids, adj);
+    const linked = comps.filter((c) => c.length > 1);
+    const single = comps.filter((c) => c.length === 1).map((c) => c[0]);
+
+    const positions = new Map();
+    let top = o.origin.y;
+    let width = 0;
+    let layers = 0;
+    let crossings = 0;
+    const minY = (c) => Math.min(...c.map((id) => size(id).y));
+    for (const comp of linked.sort((a, b) => minY(a) - minY(b))) {
+      const r = layoutComponent(comp, useful, size, o);
+      let bottom = top;
+      for (const [id, p] of r.positions) {
+        positions.set(id, { x: o.origin.x + p.x, y: top + p.y });
+        bottom = Math.max(bottom, top + p.y + size(id).h);
+        width = Math.max(width, p.x + size(id).w);
+      }
+      layers = Math.max(layers, r.layers);
+      crossings += r.crossings;
+      top = bottom + o.componentGap;
+    }
+
+    if (single.length) {
+      const colW = Math.max(...single.map((id) => size(id).w)) + o.hgap;
+      const perRow = Math.max(1, Math.floor((width + o.hgap) / colW) || 1, Math.ceil(Math.sqrt(single.length)));
+      for (let i = 0; i < single.length; i += perRow) {
+        const row = single.slice(i, i + perRow);
+        row.forEach((id, k) => positions.set(id, { x: o.origin.x + k * colW, y: top }));
+        top += Math.max(...row.map((id) => size(id).h)) + o.vgap;
+      }
+    }
+    return { positions, layers, crossings };
+  }
+
+  // Chronological layout: x from data.date on a day/week/month scale, one
+  // swim lane per action, type or macro area. Nodes that would overlap in a
+  // lane drop to the topmost free slot below their neighbours. Undated nodes go in a column before
+  // the first date. Returns { positions: Map(id -> {x, y}), lanes: [{ key,
+  // label, y, h, count }], ticks: [{ x, label, major }], start, end,
+  // pxPerDay, undatedX }. opts.macros is the macroMapping the macro lanes
+  // are read through.
+  const TIMELINE_SCALES = {
+    day: { pxPerDay: 48 },
+    week: { pxPerDay: 24 },
+    month: { pxPerDay: 8 },
+  };
+  const TIMELINE_LANES = ["action", "type", "macro"];
+  const MONTHS_SHORT = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+  function timelineLaneOf(node, lane, macros) {
+    const d = node.data || {};
+    if (lane === "type") {
+      const t = normalizeToken(d.type);
+      return { key: t ? t.toLowerCase() : "", label: t || "No type" };
+    }
+    if (lane === "macro") {
+      const m = macroFromAreas(d.areas, macros);
+      return { key: m, label: macroLabel(m, macros) };
+    }
+    const a = actionKey(d.action);
+    const label = { exploring: "Exploring", making: "Making", missing: "No action" }[a];
+    return { key: a, label: label || canonicalAction(d.action) || "Other" };
+  }
+
+  function startOfScale(date, scale) {
+    if (scale === "month") return new Date(date.getFullYear(), date.getMonth(), 1);
+    if (scale === "week") return addDays(date, -((date.getDay() + 6) % 7)); // Monday
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  function timelineTicks(start, end, scale, x) {
+    const ticks = [];
+    if (scale === "month") {
+      for (let d = start; d <= end; d = new Date(d.getFullYear(), d.getMonth() + 1, 1)) {
+        const major = d.getMonth() === 0;
+        ticks.push({ x: x(d), label: major ? String(d.getFullYear()) : MONTHS_SHORT[d.getMonth()], major });
+      }
+    } else {
+      const step = scale === "week" ? 7 : 1;
+      for (let d = start; d <= end; d = addDays(d, step)) {
+        const major = scale === "week" ? d.getDate() <= 7 : d.getDay() === 1;
+        const label = major || scale === "week" ? `${d.getDate()} ${MONTHS_SHORT[d.getMonth()]}` : String(d.getDate());
+        ticks.push({ x: x(d), label: major && d.getMonth() === 0 && d.getDate() <= step ? `${label} ${d.getFullYear()}` : label, major });
+      }
+    }
+    return ticks;
+  }
+
+  function timelineLayout(nodes, opts = {}) {
+    const o = {
+      scale: "week",
+      lane: "action",
+      hgap: 24,
+      vgap: 24,
+      laneGap: 80,
+      origin: { x: 0, y: 0 },
+      ...opts,
+    };
+    const macros = o.macros || macroMapping(null);
+    const pxPerDay = (TIMELINE_SCALES[o.scale] || TIMELINE_SCALES.week).pxPerDay;
+    const list = (nodes || []).filter((n) => n && n.id);
+    const dated = list.map((n) => ({ n, date: parseDate(n.data?.date) }));
+    const times = dated.filter((d) => d.date).map((d) => d.date.getTime());
+    const first = times.length ? new Date(Math.min(...times)) : new Date();
+    const last = times.length ? new Date(Math.max(...times)) : first;
+    const start = startOfScale(first, o.scale);
+    const end = o.scale === "month" ? new Date(last.getFullYear(), last.getMonth() + 1, 1) : addDays(startOfScale(last, o.scale), o.scale === "week" ? 7 : 1);
+    const x = (date) => o.origin.x + daysBetween(start, date) * pxPerDay;
+    const maxW = Math.max(NODE_W, ...list.map((n) => n.w || NODE_W));
+    const undatedX = o.origin.x - maxW - o.laneGap;
+
+    // Lanes in a stable order: known keys first, then by first appearance in time
+    const lanes = new Map();
+    const sorted = dated.slice().sort((a, b) => (a.date?.getTime() ?? -Infinity) - (b.date?.getTime() ?? -Infinity));
+    for (const d of sorted) {
+      const { key, label } = timelineLaneOf(d.n, o.lane, macros);
+      if (!lanes.has(key)) lanes.set(key, { key, label, items: [] });
+      lanes.get(key).items.push(d);
+    }
+    const order =
+      o.lane === "action"
+        ? ["exploring", "making", "other", "missing"]
+        : o.lane === "macro"
+          ? macroKeys(macros)
+          : [];
+    const laneList = [...lanes.values()].sort((a, b) => {
+      const ia = order.indexOf(a.key);
+      const ib = order.indexOf(b.key);
+      if (ia !== ib) return (ia < 0 ? order.length : ia) - (ib < 0 ? order.length : ib);
+      return (a.key === "") - (b.key === "");
+    });
+
+    const positions = new Map();
+    const outLanes = [];
+    let top = o.origin.y;
+    for (const lane of laneList) {
+      // Topmost free slot among the nodes already placed in this x range
+      const placed = [];
+      let bottom = top;
+      for (const { n, date } of lane.items) {
+        const nx = date ? x(date) : undatedX;
+        const w = n.w || NODE_W;
+        const nh = n.h || NODE_H;
+        const near = placed.filter((p) => p.x < nx + w + o.hgap && nx < p.x + p.w + o.hgap);
+        const free = (y) => near.every((p) => y + nh + o.vgap <= p.y || p.y + p.h + o.vgap <= y);
+        const candidates = [top, ...near.map((p) => p.y + p.h + o.vgap)].sort((c, d) => c - d);
+        const ny = candidates.find(free);
+        placed.push({ id: n.id, x: nx, y: ny, w, h: nh });
+        positions.set(n.id, { x: nx, y: ny });
+        bottom = Math.max(bottom, ny + nh);
+      }
+      const h = bottom - top;
+      outLanes.push({ key: lane.key, label: lane.label, y: top, h, count: placed.length });
+      top += h + o.laneGap;
+    }
+    return {
+      positions,
+      lanes: outLanes,
+      ticks: timelineTicks(start, end, o.scale, x),
+      start: formatDate(start),
+      end: formatDate(end),
+      pxPerDay,
+      undatedX: dated.some((d) => !d.date) ? undatedX : null,
+    };
+  }
+
+  /* ---------- Migrations ---------- */
+  // Files before v6 were never versioned consistently, so each transform keys
+  // on the legacy shape it repairs rather than on the version number: running
+  // one on data that is already clean changes nothing (count 0).
+  // Every transform mutates the project in place and returns how many
+  // nodes/edges it touched.
+  function eachNodeData(p, fn) {
+    let count = 0;
+    for (const n of Array.isArray(p.nodes) ? p.nodes : []) {
+      if (!n || typeof n !== "object") continue;
+      if (!n.data || typeof n.data !== "object") n.data = {};
+      if (fn(n.data, n)) count += 1;
+    }
+    return count;
+  }
+
+  const MIGRATION_TRANSFORMS = {
+    "object-to-type": {
+      label: "data.object → data.type",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          if (!Object.hasOwn(d, "object")) return false;
+          if (!d.type && d.object) d.type = String(d.object);
+          delete d.object;
+          return true;
+        }),
+    },
+    "action-scalar": {
+      label: "array-valued action → single value",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          if (!Array.isArray(d.action)) return false;
+          d.action = d.action.find((a) => a != null && a !== "") ?? null;
+          return true;
+        }),
+    },
+    "main-areas": {
+      label: "mainAreas/mainArea/mainarea merged into areas",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          const legacy = hasLegacyMainAreas(d);
+          if (!legacy && (d.areas == null || Array.isArray(d.areas))) return false;
+          d.areas = normalizeAreaList(d.areas, legacyMainAreas(d));
+          delete d.mainAreas;
+          delete d.mainArea;
+          delete d.mainarea;
+          return true;
+        }),
+    },
+    "file-flags": {
+      label: "isImage/isPDF flags on file entries",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          if (d.files != null && !Array.isArray(d.files)) {
+            d.files = [];
+            return true;
+          }
+          let changed = false;
+          for (const f of d.files || []) {
+            if (!f || typeof f !== "object") continue;
+            if (typeof f.isImage === "boolean" && typeof f.isPDF === "boolean") continue;
+            const flags = normalizeFile(f);
+            f.isImage = flags.isImage;
+            f.isPDF = flags.isPDF;
+            changed = true;
+          }
+          return changed;
+        }),
+    },
+    "vocab-block": {
+      label: "vocab block rebuilt from nodes",
+      apply: (p) => {
+        if (p.vocab && typeof p.vocab === "object") return 0;
+        const nodes = Array.isArray(p.nodes) ? p.nodes : [];
+        const pick = (key) => nodes.flatMap((n) => n?.data?.[key] ?? []);
+        p.vocab = {
+          areas: normalizeAreaList(pick("areas")),
+          tags: normalizeTagList(pick("tags")),
+          type: normalizeTagList(pick("type")),
+        };
+        return 1;
+      },
+    },
+    "action-case": {
+      label: "action spelled Exploring/Making",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          if (d.action === undefined || Array.isArray(d.action)) return false;
+          const next = canonicalAction(d.action);
+          if (next === d.action) return false;
+          d.action = next;
+          return true;
+        }),
+    },
+    "links-clean": {
+      label: "links as a trimmed array without blanks",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          if (d.links == null) return false;
+          const list = Array.isArray(d.links) ? d.links : [d.links];
+          const next = list.map((l) => String(l ?? "").trim()).filter(Boolean);
+          if (
+            Array.isArray(d.links) &&
+            next.length === d.links.length &&
+            next.every((l, i) => l === d.links[i])
+          )
+            return false;
+          d.links = next;
+          return true;
+        }),
+    },
+    "dangling-edges": {
+      label: "edges pointing at missing nodes removed",
+      apply: (p) => {
+        if (!Array.isArray(p.edges)) return 0;
+        const ids = new Set(
+          (Array.isArray(p.nodes) ? p.nodes : []).map((n) => n?.id).filter(Boolean)
+        );
+        // "<folder>:<id>" ends point into another project (workspace links)
+        const known = (ref) => ids.has(ref) || !!parseNodeRef(ref).project;
+        const before = p.edges.length;
+        p.edges = p.edges.filter((e) => e && known(e.s) && known(e.t));
+        return before - p.edges.length;
+      },
+    },
+    "groups-block": {
+      label: "groups block, numeric group ids → strings",
+      apply: (p) => {
+        let count = 0;
+        for (const n of p.nodes) {
+          if (!n || typeof n !== "object" || n.group == null) continue;
+          const id = groupIdOf(n.group);
+          if (id === n.group) continue;
+          n.group = id;
+          count += 1;
+        }
+        const before = Array.isArray(p.groups) ? p.groups.length : 0;
+        p.groups = normalizeGroups(p.groups, p.nodes);
+        return count + Math.max(0, p.groups.length - before);
+      },
+    },
+    "relations-block": {
+      label: "relation vocabulary for typed edges",
+      apply: (p) => {
+        if (Array.isArray(p.relations)) return 0;
+        p.relations = normalizeRelations(null, p.edges);
+        return 1;
+      },
+    },
+    "types-block": {
+      label: "node-type taxonomy",
+      apply: (p) => {
+        if (Array.isArray(p.types)) return 0;
+        p.types = normalizeTypes(null, p.nodes);
+        return 1;
+      },
+    },
+    "macros-block": {
+      label: "macro-area mapping (seeded from the area spellings in use)",
+      apply: (p) => {
+        if (Array.isArray(p.macros)) return 0;
+        p.macros = legacyMacros(p.nodes);
+        return 1;
+      },
+    },
+    "terms-block": {
+      label: "vocabulary terms (synonyms, hierarchy)",
+      apply: (p) => {
+        if (p.terms && typeof p.terms === "object" && !Array.isArray(p.terms)) return 0;
+        p.terms = normalizeTerms(null);
+        return 1;
+      },
+    },
+    "links-structured": {
+      label: "links as { url, title, accessed, note, kind }, multi-URL entries split",
+      apply: (p) =>
+        eachNodeData(p, (d) => {
+          if (d.links == null) return false;
+          const next = normalizeLinks(d.links);
+          if (JSON.stringify(next) === JSON.stringify(d.links)) return false;
+          d.links = next;
+          return true;
+        }),
+    },
+    "meta-block": {
+      label: "project meta block",
+      apply: (p) => {
+        if (p.meta && typeof p.meta === "object" && !Array.isArray(p.meta)) return 0;
+        p.meta = normalizeMeta(null);
+        return 1;
+      },
+    },
+  };
+
+  // Step N upgrades a file stamped N-1. v7 is v6 with the shapes the old
+  // loader silently tolerated folded away, which is why it repeats the
+  // earlier transforms (v6 files written by hand or by older builds still
+  // carry them). v8 adds the groups block, v9 the relation vocabulary, v10
+  // the project meta block, v11 the node-type taxonomy, v12 the macro-area
+  // mapping, v13 the vocabulary terms, v14 structured links.
+  const MIGRATIONS = [
+    { to: 2, transforms: ["object-to-type"] },
+    { to: 3, transforms: ["action-scalar"] },
+    { to: 4, transforms: ["main-areas"] },
+    { to: 5, transforms: ["file-flags"] },
+    { to: 6, transforms: ["vocab-block"] },
+    {
+      to: 7,
+      transforms: [
+        "object-to-type",
+        "action-scalar",
+        "main-areas",
+        "file-flags",
+        "action-case",
+        "links-clean",
+        "dangling-edges",
+      ],
+    },
+    { to: 8, transforms: ["groups-block"] },
+    { to: 9, transforms: ["relations-block"] },
+    { to: 10, transforms: ["meta-block"] },
+    { to: 11, transforms: ["types-block"] },
+    { to: 12, transforms: ["macros-block"] },
+    { to: 13, transforms: ["terms-block"] },
+    { to: 14, transforms: ["links-structured"] },
+  ];
+
+  // Unversioned files predate the version field and are treated as v1.
+  function projectVersion(json) {
+    const v = json?.version;
+    return typeof v === "number" && Number.isInteger(v) && v >= 1 ? v : 1;
+  }
+
+  // Returns { project, fromVersion, toVersion, applied: [{ version, id, label, count }],
+  // newer }. The input object is not modified. Files newer than this build are
+  // returned untouched with newer=true.
+  function migrateProject(json, targetVersion = PROJECT_VERSION) {
+    if (!json || typeof json !== "object" || Array.isArray(json)) {
+      throw new Error("project.json must contain an object");
+    }
+    const fromVersion = projectVersion(json);
+    const report = {
+      project: json,
+      fromVersion,
+      toVersion: fromVersion,
+      applied: [],
+      newer: fromVersion > PROJECT_VERSION,
+    };
+    if (fromVersion >= targetVersion) return report;
+
+    const p = JSON.parse(JSON.stringify(json));
+    if (!Array.isArray(p.nodes)) p.nodes = [];
+    if (!Array.isArray(p.edges)) p.edges = [];
+    for (const step of MIGRATIONS) {
+      if (step.to <= fromVersion || step.to > targetVersion) continue;
+      for (const id of step.transforms) {
+        const t = MIGRATION_TRANSFORMS[id];
+        const count = t.apply(p);
+        if (count > 0) report.applied.push({ version: step.to, id, label: t.label, count });
+      }
+      p.version = step.to;
+    }
+    report.project = p;
+    report.toVersion = p.version;
+    return report;
+  }
+
+  // One-line summary for status bars and CLI output.
+  function describeMigration(report) {
+    if (!report || report.toVersion === report.fromVersion) return "";
+    const head = `v${report.fromVersion}→v${report.toVersion}`;
+    if (!report.applied.length) return head;
+    return `${head}: ${report.applied.map((a) => `${a.label} (${a.count})`).join(", ")}`;
+  }
+
+  /* ---------- Date doctor ---------- */
+  // Rules engine behind scripts/date-doctor.js. Each rule looks at one node's
+  // date (or at an edge) and returns a suggestion with an explanation; nothing
+  // is changed here, the caller decides what to apply.
+  const DAY_MS = 86400000;
+  const DATE_RULES = [
+    "format",
+    "truncatedYear",
+    "swappedDayMonth",
+    "missingOrInvalid",
+    "outOfSpan",
+    "edgeOrder",
+  ];
+  const CONFIDENCE_RANK = { low: 0, medium: 1, high: 2 };
+
+  // Strict calendar date (no Feb 30 rolling over into March), years < 100 included.
+  function makeDate(y, m, d) {
+    const dt = new Date(2000, 0, 1);
+    dt.setFullYear(y, m - 1, d);
+    if (dt.getFullYear() !== y || dt.getMonth() !== m - 1 || dt.getDate() !== d) return null;
+    return dt;
+  }
+
+  function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  function startOfDay(time) {
+    const d = new Date(time);
+    return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  }
+
+  function daysBetween(a, b) {
+    return Math.round((b.getTime() - a.getTime()) / DAY_MS);
+  }
+
+  // Numeric parts of YYYY-MM-DD, YYYY/MM/DD and (Italian order) DD/MM/YYYY,
+  // DD.MM.YY, DD-MM-YYYY. Years keep the digits actually written.
+  function splitDateParts(raw) {
+    const s = String(raw || "").trim();
+    let m = s.match(/^(\d{1,4})-(\d{1,2})-(\d{1,2})$/) || s.match(/^(\d{4})[/.](\d{1,2})[/.](\d{1,2})$/);
+    if (m && !(m[1].length <= 2 && m[3].length === 4)) {
+      return { y: Number(m[1]), yDigits: m[1].length, m: Number(m[2]), d: Number(m[3]) };
+    }
+    m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (m) return { y: Number(m[3]), yDigits: m[3].length, m: Number(m[2]), d: Number(m[1]), dmy: true };
+    return null;
+  }
+
+  // Plausible window for this project: explicit opts.min/opts.max win,
+  // otherwise the largest run of dates with no gap longer than spanGapDays,
+  // widened by spanPaddingDays on each side.
+  function projectDateSpan(dates, o) {
+    const hardMin = makeDate(o.pastYearWarn, 1, 1);
+    const hardMax = addDays(o.now, o.futureDaysWarn);
+    const times = dates
+      .filter((d) => d >= hardMin && d <= hardMax)
+      .map((d) => d.getTime())
+      .sort((a, b) => a - b);
+    let min = hardMin;
+    let max = hardMax;
+    if (times.length >= 4) {
+      let best = [0, 0];
+      let start = 0;
+      for (let i = 1; i <= times.length; i++) {
+        if (i < times.length && times[i] - times[i - 1] <= o.spanGapDays * DAY_MS) continue;
+        if (i - start > best[1] - best[0] + 1) best = [start, i - 1];
+        start = i;
+      }
+      const pad = o.spanPaddingDays * DAY_MS;
+      min = startOfDay(Math.max(hardMin.getTime(), times[best[0]] - pad));
+      max = startOfDay(Math.min(hardMax.getTime(), times[best[1]] + pad));
+    }
+    if (o.min && parseDate(o.min)) min = parseDate(o.min);
+    if (o.max && parseDate(o.max)) max = parseDate(o.max);
+    return { min, max };
+  }
+
+  // Reports date problems in a raw project.json.
+  // Returns { span: { min, max }, suggestions: [{ rule, id, title, old,
+  // proposed, confidence, reason }] }; proposed is "" when nothing can be
+  // inferred. At most one suggestion per node.
+  function diagnoseDates(json, opts = {}) {
+    const o = {
+      rules: DATE_RULES,
+      edgeToleranceDays: 30,
+      spanGapDays: 60,
+      spanPaddingDays: 14,
+      pastYearWarn: 1990,
+      futureDaysWarn: 14,
+      min: null,
+      max: null,
+      ...opts,
+    };
+    o.now = opts.now instanceof Date ? opts.now : new Date();
+    const rules = new Set(o.rules);
+
+    const nodes = (Array.isArray(json?.nodes) ? json.nodes : []).filter(
+      (n) => n && typeof n.id === "string" && n.id
+    );
+    const info = new Map();
+    for (const n of nodes) {
+      const raw = typeof n.data?.date === "string" ? n.data.date.trim() : "";
+      const iso = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const date = iso ? makeDate(Number(iso[1]), Number(iso[2]), Number(iso[3])) : null;
+      info.set(n.id, { id: n.id, title: String(n.data?.title || ""), raw, date, parts: splitDateParts(raw) });
+    }
+
+    const preds = new Map();
+    const succs = new Map();
+    const edges = (Array.isArray(json?.edges) ? json.edges : []).filter(
+      (e) => e && info.has(e.s) && info.has(e.t) && e.s !== e.t
+    );
+    for (const e of edges) {
+      if (!preds.has(e.t)) preds.set(e.t, []);
+      if (!succs.has(e.s)) succs.set(e.s, []);
+      preds.get(e.t).push(e.s);
+      succs.get(e.s).push(e.t);
+    }
+
+    // Truncated years still say roughly when things happened: count them
+    // (read as 20yy) when estimating the span.
+    const roughDate = (x) => {
+      if (x.date && x.date.getFullYear() >= 1000) return x.date;
+      const p = x.parts;
+      if (!p || p.y >= 100) return x.date;
+      return makeDate(2000 + p.y, p.m, p.d);
+    };
+    const span = projectDateSpan([...info.values()].map(roughDate).filter(Boolean), o);
+    const inSpan = (d) => !!d && d >= span.min && d <= span.max;
+    const spanText = `${formatDate(span.min)}…${formatDate(span.max)}`;
+    const suspect = new Set();
+    for (const x of info.values()) if (!inSpan(x.date)) suspect.add(x.id);
+
+    // Latest trusted predecessor / earliest trusted successor. ordered is
+    // false when the date still comes after a source or before a target (the
+    // median, when they disagree): such a guess is only low confidence.
+    const infer = (id, exclude = new Set()) => {
+      const guess = inferDate(id, exclude);
+      if (!guess) return null;
+      const trusted = (nid) => !suspect.has(nid) && !exclude.has(nid) && inSpan(info.get(nid).date);
+      const late = (preds.get(id) || []).filter(trusted).some((nid) => daysBetween(guess.date, info.get(nid).date) > 0);
+      const early = (succs.get(id) || []).filter(trusted).some((nid) => daysBetween(info.get(nid).date, guess.date) > 0);
+      return { ...guess, ordered: !late && !early };
+    };
+    const inferDate = (id, exclude) => {
+      const trusted = (nid) => !suspect.has(nid) && !exclude.has(nid) && inSpan(info.get(nid).date);
+      const before = (preds.get(id) || []).filter(trusted).map((nid) => info.get(nid).date);
+      const after = (succs.get(id) || []).filter(trusted).map((nid) => info.get(nid).date);
+      const lo = before.length ? new Date(Math.max(...before)) : null;
+      const hi = after.length ? new Date(Math.min(...after)) : null;
+      if (lo && hi && lo <= hi) {
+        return {
+          date: addDays(lo, Math.round(daysBetween(lo, hi) / 2)),
+          basis: `between its sources (latest ${formatDate(lo)}) and targets (earliest ${formatDate(hi)})`,
+        };
+      }
+      if (lo && hi) {
+        const all = [...before, ...after].map((d) => d.getTime()).sort((a, b) => a - b);
+        return {
+          date: new Date(all[Math.floor(all.length / 2)]),
+          basis: `median of ${all.length} linked nodes (sources and targets disagree)`,
+        };
+      }
+      if (lo) return { date: lo, basis: `same day as its latest source (${before.length} linked)` };
+      if (hi) return { date: hi, basis: `same day as its earliest target (${after.length} linked)` };
+      return null;
+    };
+
+    // Among candidate dates, the one in span closest to the neighbours' estimate.
+    const pickCandidate = (id, candidates) => {
+      const ok = candidates.filter(inSpan);
+      if (!ok.length) return null;
+      const ref = infer(id)?.date || new Date((span.min.getTime() + span.max.getTime()) / 2);
+      return ok.sort((a, b) => Math.abs(a - ref) - Math.abs(b - ref))[0];
+    };
+
+    const suggestions = [];
+    const suggest = (x, rule, proposed, confidence, reason) => {
+      suggestions.push({
+        rule,
+        id: x.id,
+        title: x.title,
+        old: x.raw,
+        proposed: proposed ? formatDate(proposed) : "",
+        confidence,
+        reason,
+      });
+    };
+
+    const nodeRules = [
+      [
+        "format",
+        (x) => {
+          // Right numbers, wrong shape: 16/09/2025, 2025-9-6, 16.09.25...
+          const p = x.parts;
+          if (!p || /^\d{4}-\d{2}-\d{2}$/.test(x.raw)) return false;
+          if (p.yDigits !== 4 && !p.dmy) return false;
+          const y = p.dmy && p.yDigits === 2 ? 2000 + p.y : p.y;
+          const d = y >= 1000 ? makeDate(y, p.m, p.d) : null;
+          if (!d) return false;
+          const order = p.dmy ? "day/month/year" : "year/month/day";
+          suggest(x, "format", d, inSpan(d) ? "high" : "medium", `"${x.raw}" read as ${order}; stored as YYYY-MM-DD`);
+          return true;
+        },
+      ],
+      [
+        "truncatedYear",
+        (x) => {
+          const p = x.parts;
+          if (!p || p.y >= 1000) return false;
+          const candidates = [];
+          if (p.y < 100) candidates.push(2000 + p.y, 1900 + p.y);
+          else for (let i = 0; i < 10; i++) candidates.push(p.y * 10 + i);
+          const pick = pickCandidate(
+            x.id,
+            candidates.map((y) => makeDate(y, p.m, p.d)).filter(Boolean)
+          );
+          if (!pick) return false;
+          suggest(
+            x,
+            "truncatedYear",
+            pick,
+            "high",
+            `year ${String(p.y).padStart(p.yDigits, "0")} looks truncated; ${pick.getFullYear()} fits the project span ${spanText}`
+          );
+          return true;
+        },
+      ],
+      [
+        "swappedDayMonth",
+        (x) => {
+          const p = x.parts;
+          if (!p || p.y < 1000 || p.d > 12) return false;
+          if (x.date && inSpan(x.date)) return false;
+          if (p.d === p.m) return false;
+          const swapped = pickCandidate(x.id, [makeDate(p.y, p.d, p.m)].filter(Boolean));
+          if (!swapped) return false;
+          const why = x.date
+            ? `${x.raw} is outside the project span ${spanText}; with day and month swapped it fits`
+            : `month ${p.m} does not exist; with day and month swapped the date is valid`;
+          suggest(x, "swappedDayMonth", swapped, x.date ? "medium" : "high", why);
+          return true;
+        },
+      ],
+      [
+        "missingOrInvalid",
+        (x) => {
+          if (x.date) return false;
+          const guess = infer(x.id);
+          const what = x.raw ? `"${x.raw}" is not a valid date` : "date is missing";
+          suggest(
+            x,
+            "missingOrInvalid",
+            guess?.date,
+            "low",
+            guess ? `${what}; inferred ${guess.basis}` : `${what}; no dated neighbours to infer from`
+          );
+          return true;
+        },
+      ],
+      [
+        "outOfSpan",
+        (x) => {
+          if (!x.date || inSpan(x.date)) return false;
+          const guess = infer(x.id);
+          const where = x.date < span.min ? "before" : "after";
+          suggest(
+            x,
+            "outOfSpan",
+            guess?.date,
+            guess?.ordered ? "medium" : "low",
+            `${x.raw} is ${where} the project span ${spanText}` +
+              (guess ? `; inferred ${guess.basis}` : "; no dated neighbours to infer from")
+          );
+          return true;
+        },
+      ],
+    ];
+
+    const flagged = new Set();
+    for (const x of info.values()) {
+      for (const [rule, check] of nodeRules) {
+        if (!rules.has(rule)) continue;
+        if (check(x)) {
+          flagged.add(x.id);
+          break;
+        }
+      }
+    }
+
+    if (rules.has("edgeOrder")) {
+      // A node involved in more inverted edges is the likelier culprit;
+      // on a tie the target gets the blame.
+      const inverted = [];
+      const hits = new Map();
+      for (const e of edges) {
+        if (flagged.has(e.s) || flagged.has(e.t)) continue;
+        const a = info.get(e.s).date;
+        const b = info.get(e.t).date;
+        if (!a || !b || daysBetween(b, a) <= o.edgeToleranceDays) continue;
+        inverted.push(e);
+        hits.set(e.s, (hits.get(e.s) || 0) + 1);
+        hits.set(e.t, (hits.get(e.t) || 0) + 1);
+      }
+      const blamed = new Map();
+      for (const e of inverted) {
+        const culprit = (hits.get(e.s) || 0) > (hits.get(e.t) || 0) ? e.s : e.t;
+        const other = culprit === e.s ? e.t : e.s;
+        if (!blamed.has(culprit)) blamed.set(culprit, []);
+        blamed.get(culprit).push(other);
+      }
+      for (const [id, others] of blamed) {
+        const x = info.get(id);
+        const guess = infer(id);
+        if (guess && formatDate(guess.date) === x.raw) continue;
+        const first = info.get(others[0]);
+        const lag = Math.abs(daysBetween(x.date, first.date));
+        const relation = (succs.get(id) || []).includes(first.id)
+          ? `its target ${first.id} (${first.raw})`
+          : `its source ${first.id} (${first.raw})`;
+        const more = others.length > 1 ? ` and ${others.length - 1} more link(s)` : "";
+        suggest(
+          x,
+          "edgeOrder",
+          guess?.date,
+          guess?.ordered ? "medium" : "low",
+          `${x.raw} is ${lag} days out of order with ${relation}${more}` +
+            (guess ? `; inferred ${guess.basis}` : "")
+        );
+      }
+    }
+
+    return {
+      span: { min: formatDate(span.min), max: formatDate(span.max) },
+      suggestions,
+    };
+  }
+
+  /* ---------- Auto-fix ---------- */
+  const MIME_BY_EXT = {
+    png: "image/png",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    webp: "image/webp",
+    bmp: "image/bmp",
+    svg: "image/svg+xml",
+    pdf: "application/pdf",
+    mp4: "video/mp4",
+  };
+
+  // The editor chips store "Exploring"/"Making"; anything that only differs
+  // by case or spacing is a typo. An empty string is a missing action, like
+  // null, and is left as it is.
+  function actionNeedsFix(action) {
+    if (typeof action !== "string" || !action.trim()) return false;
+    return canonicalAction(action) !== action;
+  }
+
+  // Loose check: type says png but the file is a jpg, etc.
+  function fileTypeMismatch(f) {
+    const type = String(f?.type || "");
+    const ext = extFromPath(typeof f?.path === "string" ? f.path : "");
+    if (!type.includes("image/") || !ext) return false;
+    const subtype = type.split("image/")[1] || "";
+    const normSubtype = subtype.split(";")[0].trim().toLowerCase();
+    return !!normSubtype && !normSubtype.includes(ext) && !(normSubtype === "jpeg" && ext === "jpg");
+  }
+
+  // validateProject() findings that fixProject() knows how to repair.
+  const FIX_RULES = [
+    "actionWeirdCase",
+    "legacyMainAreasFields",
+    "edgeSelfLoops",
+    "edgeDuplicates",
+    "typeExtMismatch",
+    "pathNotAssetsPrefix",
+  ];
+
+  // Repairs a copy of json. opts.rules limits the rules that run;
+  // pathNotAssetsPrefix needs opts.assetExists(path) and only rewrites a path
+  // when assets/<file name> is really there.
+  // Returns { project, changes: [{ rule, target, id, title, field, old, next }] }
+  // where next === undefined means the field (or the edge) was removed.
+  function fixProject(json, opts = {}) {
+    const rules = new Set(opts.rules || FIX_RULES);
+    const p = JSON.parse(JSON.stringify(json));
+    const changes = [];
+
+    for (const n of Array.isArray(p.nodes) ? p.nodes : []) {
+      const d = n?.data;
+      if (!d || typeof d !== "object") continue;
+      const record = (rule, field, old, next) =>
+        changes.push({
+          rule,
+          target: "node",
+          id: String(n.id || ""),
+          title: String(d.title || ""),
+          field,
+          old,
+          next,
+        });
+
+      if (rules.has("actionWeirdCase") && actionNeedsFix(d.action)) {
+        const next = canonicalAction(d.action);
+        record("actionWeirdCase", "action", d.action, next);
+        d.action = next;
+      }
+
+      if (rules.has("legacyMainAreasFields") && hasLegacyMainAreas(d)) {
+        const next = normalizeAreaList(d.areas, legacyMainAreas(d));
+        record("legacyMainAreasFields", "areas", d.areas ?? null, next);
+        d.areas = next;
+        for (const key of ["mainAreas", "mainArea", "mainarea"]) {
+          if (!Object.hasOwn(d, key)) continue;
+          record("legacyMainAreasFields", key, d[key], undefined);
+          delete d[key];
+        }
+      }
+
+      if (!Array.isArray(d.files)) continue;
+      d.files.forEach((f, i) => {
+        if (!f || typeof f.path !== "string" || !f.path) return;
+        if (rules.has("typeExtMismatch") && fileTypeMismatch(f)) {
+          const mime = MIME_BY_EXT[extFromPath(f.path)];
+          if (mime) {
+            record("typeExtMismatch", `files[${i}].type`, f.type, mime);
+            f.type = mime;
+          }
+        }
+        if (
+          rules.has("pathNotAssetsPrefix") &&
+          !f.path.startsWith("assets/") &&
+          typeof opts.assetExists === "function"
+        ) {
+          const name = f.path.split(/[\\/]/).pop();
+          const next = `assets/${name}`;
+          if (name && opts.assetExists(next)) {
+            record("pathNotAssetsPrefix", `files[${i}].path`, f.path, next);
+            f.path = next;
+          }
+        }
+      });
+    }
+
+    if (Array.isArray(p.edges)) {
+      const seen = new Set();
+      p.edges = p.edges.filter((e) => {
+        const s = e && typeof e.s === "string" ? e.s : "";
+        const t = e && typeof e.t === "string" ? e.t : "";
+        const drop = (rule) => {
+          changes.push({ rule, target: "edge", id: `${s}→${t}`, title: "", field: null, old: e, next: undefined });
+          return false;
+        };
+        if (rules.has("edgeSelfLoops") && s && s === t) return drop("edgeSelfLoops");
+        const k = edgeKey({ s, t, dashed: e?.dashed });
+        if (rules.has("edgeDuplicates") && seen.has(k)) return drop("edgeDuplicates");
+        seen.add(k);
+        return true;
+      });
+    }
+
+    return { project: p, changes };
+  }
+
+  /* ---------- Validation ---------- */
+  function isFiniteNum(x) {
+    return typeof x === "number" && Number.isFinite(x);
+  }
+
+  function defaultValidateOptions() {
+    return {
+      spanYearsWarn: 20,
+      futureDaysWarn: 14,
+      pastYearWarn: 1990,
+      maxMissingAssetsToList: 20,
+    };
+  }
+
+  // Structural checks on a raw (not normalised) project.json.
+  // opts.assetExists(path) is optional: Node passes an fs check, the browser
+  // can skip it. opts.projectName prefixes the asset examples.
+  // opts.workspaceMacros is the parsed macro-areas.json, if there is one.
+  // opts.resolveRef(ref) is optional too: it says whether a "project:id" edge
+  // end points at an existing node of another project.
+  function validateProject(json, opts = {}) {
+    const o = { ...defaultValidateOptions(), ...opts };
+    const projectName = o.projectName || "";
+    const prefix = projectName ? `${projectName}/` : "";
+    const out = {
+      ok: true,
+      version: null,
+      counts: {
+        nodes: 0,
+        edges: 0,
+        actions: { exploring: 0, making: 0, other: 0, missing: 0 },
+      },
+      dates: {
+        invalid: 0,
+        missing: 0,
+        min: "",
+        max: "",
+        spanDays: null,
+        outOfRange: 0,
+        future: 0,
+      },
+      schema: {
+        nodesNotArray: false,
+        edgesNotArray: false,
+        nodeIdMissing: 0,
+        nodeIdDuplicates: 0,
+        edgeMissingRefs: 0,
+        edgeSelfLoops: 0,
+        edgeDuplicates: 0,
+        nodeGeometryInvalid: 0,
+        areasNotArray: 0,
+        filesNotArray: 0,
+        legacyMainAreasFields: 0,
+        actionWeirdCase: 0,
+        versionOutdated: false,
+      },
+      assets: {
+        fileEntries: 0,
+        missing: 0,
+        missingExamples: [],
+        typeExtMismatch: 0,
+        typeExtMismatchExamples: [],
+        pathNotAssetsPrefix: 0,
+      },
+      meta: {
+        title: "",
+        missing: [],
+        invalidDates: [],
+        endBeforeStart: false,
+        outsideSpan: 0,
+      },
+      types: {
+        undeclared: 0,
+        undeclaredExamples: [],
+        missingRequired: 0,
+        missingRequiredExamples: [],
+      },
+      macros: {
+        unmapped: 0,
+        unmappedNodes: 0,
+        unmappedExamples: [],
+      },
+      links: {
+        entries: 0,
+        unsplit: 0,
+        malformed: 0,
+        malformedExamples: [],
+        duplicates: 0,
+        duplicateExamples: [],
+      },
+      crossRefs: {
+        edges: 0,
+        unresolved: 0,
+        unresolvedExamples: [],
+      },
+    };
+
+    // Identity checks on project.meta; node dates are compared to its
+    // start/end below.
+    const meta = normalizeMeta(json?.meta);
+    out.meta.title = projectTitle(json, projectName);
+    out.meta.missing = ["title", "authors", "course"].filter((k) => !meta[k].length);
+    out.meta.invalidDates = ["start", "end"].filter((k) => collapseSpaces(json?.meta?.[k]) && !meta[k]);
+    out.meta.endBeforeStart = !!(meta.start && meta.end && meta.end < meta.start);
+    const spanFrom = parseDate(meta.start);
+    const spanTo = parseDate(meta.end);
+    // Types: only a declared block can leave a node's type undeclared.
+    const types = projectTypes(json);
+    const declaredTypes = Array.isArray(json?.types)
+      ? new Set(json.types.map((t) => typeKey(t?.label)))
+      : null;
+    // Macro areas: read through the workspace mapping when one is given.
+    const macros = macroMapping(json, o.workspaceMacros);
+
+    out.version = json && typeof json.version === "number" ? json.version : null;
+    out.schema.versionOutdated = projectVersion(json) < PROJECT_VERSION;
+    const nodes = Array.isArray(json?.nodes) ? json.nodes : null;
+    const edges = Array.isArray(json?.edges) ? json.edges : null;
+    if (!nodes) out.schema.nodesNotArray = true;
+    if (!edges) out.schema.edgesNotArray = true;
+    if (!nodes || !edges) {
+      out.ok = false;
+      out.counts.nodes = nodes ? nodes.length : 0;
+      out.counts.edges = edges ? edges.length : 0;
+      return out;
+    }
+
+    out.counts.nodes = nodes.length;
+    out.counts.edges = edges.length;
+
+    const idSet = new Set();
+    const dupIds = new Set();
+
+    const now = o.now instanceof Date ? o.now : new Date();
+    const futureCutoff = new Date(now.getTime() + o.futureDaysWarn * 86400000);
+
+    let minDate = null;
+    let maxDate = null;
+
+    for (const n of nodes) {
+      const id = n && typeof n.id === "string" ? n.id : "";
+      if (!id) out.schema.nodeIdMissing += 1;
+      else if (idSet.has(id)) dupIds.add(id);
+      else idSet.add(id);
+
+      if (!isFiniteNum(n?.x) || !isFiniteNum(n?.y) || !isFiniteNum(n?.w) || !isFiniteNum(n?.h)) {
+        out.schema.nodeGeometryInvalid += 1;
+      }
+
+      const data = n?.data || {};
+
+      if (hasLegacyMainAreas(data)) out.schema.legacyMainAreasFields += 1;
+
+      const actionRaw = data?.action;
+      if (actionNeedsFix(actionRaw)) out.schema.actionWeirdCase += 1;
+      const action = actionKey(actionRaw);
+      out.counts.actions[action] = (out.counts.actions[action] || 0) + 1;
+
+      const dateStr = data?.date;
+      if (!dateStr) {
+        out.dates.missing += 1;
+      } else {
+        const d = parseDate(dateStr);
+        if (!d) {
+          out.dates.invalid += 1;
+        } else {
+          if (!minDate || d < minDate) minDate = d;
+          if (!maxDate || d > maxDate) maxDate = d;
+          if (d.getFullYear() < o.pastYearWarn) out.dates.outOfRange += 1;
+          if (d > futureCutoff) out.dates.future += 1;
+          if ((spanFrom && d < spanFrom) || (spanTo && d > spanTo)) out.meta.outsideSpan += 1;
+        }
+      }
+
+      const typeLabel = collapseSpaces(data?.type || "");
+      if (declaredTypes && typeLabel && !declaredTypes.has(typeKey(typeLabel))) {
+        out.types.undeclared += 1;
+        if (out.types.undeclaredExamples.length < 10 && !out.types.undeclaredExamples.includes(typeLabel)) {
+          out.types.undeclaredExamples.push(typeLabel);
+        }
+      }
+      const missingFields = missingTypeFields(n, types);
+      if (missingFields.length) {
+        out.types.missingRequired += 1;
+        if (out.types.missingRequiredExamples.length < 10) {
+          out.types.missingRequiredExamples.push(`${id} (${missingFields.join(", ")})`);
+        }
+      }
+
+      const areas = data?.areas;
+      if (areas != null && !Array.isArray(areas)) out.schema.areasNotArray += 1;
+      if (macroFromAreas(normalizeAreaList(areas, legacyMainAreas(data)), macros) === "unknown") {
+        out.macros.unmappedNodes += 1;
+      }
+
+      const links = Array.isArray(data?.links) ? data.links : data?.links != null ? [data.links] : [];
+      out.links.entries += links.length;
+      out.links.unsplit += links.filter((l) => typeof l === "string" && splitLinkText(l).length > 1).length;
+
+      const files = data?.files;
+      if (files != null && !Array.isArray(files)) {
+        out.schema.filesNotArray += 1;
+      } else if (Array.isArray(files)) {
+        for (const f of files) {
+          out.assets.fileEntries += 1;
+          const p = f?.path;
+          if (!p || typeof p !== "string") continue;
+
+          if (!p.startsWith("assets/")) out.assets.pathNotAssetsPrefix += 1;
+          if (typeof o.assetExists === "function" && !o.assetExists(p)) {
+            out.assets.missing += 1;
+            if (out.assets.missingExamples.length < o.maxMissingAssetsToList) {
+              out.assets.missingExamples.push(`${prefix}${p}`);
+            }
+          }
+
+          if (fileTypeMismatch(f)) {
+            out.assets.typeExtMismatch += 1;
+            if (out.assets.typeExtMismatchExamples.length < 10) {
+              out.assets.typeExtMismatchExamples.push(`${prefix}${p} (type=${f.type})`);
+            }
+          }
+        }
+      }
+    }
+
+    out.schema.nodeIdDuplicates = dupIds.size;
+
+    if (minDate && maxDate) {
+      out.dates.min = formatDate(minDate);
+      out.dates.max = formatDate(maxDate);
+      out.dates.spanDays = (maxDate.getTime() - minDate.getTime()) / 86400000;
+      const spanYears = out.dates.spanDays / 365;
+      if (Number.isFinite(spanYears) && spanYears > o.spanYearsWarn) out.ok = false;
+    }
+
+    const edgeKeySet = new Set();
+    for (const e of edges) {
+      const s = e && typeof e.s === "string" ? e.s : "";
+      const t = e && typeof e.t === "string" ? e.t : "";
+      // An end in another project ("project:id") is not a missing ref here.
+      const foreign = [s, t].filter((ref) => ref && !idSet.has(ref) && parseNodeRef(ref).project);
+      if (foreign.length) {
+        out.crossRefs.edges += 1;
+        const broken = o.resolveRef ? foreign.filter((ref) => !o.resolveRef(ref)) : [];
+        if (broken.length) {
+          out.crossRefs.unresolved += 1;
+          if (out.crossRefs.unresolvedExamples.length < 10) out.crossRefs.unresolvedExamples.push(`${s} → ${t}`);
+        }
+      }
+      const local = (ref) => idSet.has(ref) || foreign.includes(ref);
+      if (!s || !t || !local(s) || !local(t)) out.schema.edgeMissingRefs += 1;
+      if (s && t && s === t) out.schema.edgeSelfLoops += 1;
+      const k = edgeKey({ s, t, dashed: e?.dashed });
+      if (edgeKeySet.has(k)) out.schema.edgeDuplicates += 1;
+      else edgeKeySet.add(k);
+    }
+
+    const linkCheck = linkIssues(nodes);
+    out.links.malformed = linkCheck.malformed.length;
+    out.links.malformedExamples = linkCheck.malformed.slice(0, 10).map((l) => `${l.id}: ${l.url}`);
+    out.links.duplicates = linkCheck.duplicates.length;
+    out.links.duplicateExamples = linkCheck.duplicates
+      .slice(0, 10)
+      .map((d) => `${d.url} (${d.ids.join(", ")})`);
+
+    const unmapped = unmappedAreas(nodes, macros);
+    out.macros.unmapped = unmapped.length;
+    out.macros.unmappedExamples = unmapped.slice(0, 10).map(([area, count]) => `${area} (${count})`);
+
+    // Mark as not-ok if structural issues exist.
+    if (
+      out.schema.nodesNotArray ||
+      out.schema.edgesNotArray ||
+      out.schema.nodeIdMissing ||
+      out.schema.nodeGeometryInvalid ||
+      out.schema.edgeMissingRefs ||
+      out.crossRefs.unresolved
+    ) {
+      out.ok = false;
+    }
+
+    return out;
+  }
+
+  // Non-zero findings of a validateProject() report as "name=value" flags,
+  // as listed by scripts/validate-threadscape-projects.js and the home page.
+  function validationFlags(r) {
+    const parts = [];
+    if (r.schema.edgeMissingRefs) parts.push(`edgeMissingRefs=${r.schema.edgeMissingRefs}`);
+    if (r.crossRefs?.unresolved) parts.push(`brokenCrossRefs=${r.crossRefs.unresolved}`);
+    if (r.schema.edgeSelfLoops) parts.push(`selfLoops=${r.schema.edgeSelfLoops}`);
+    if (r.schema.edgeDuplicates) parts.push(`edgeDup=${r.schema.edgeDuplicates}`);
+    if (r.schema.nodeIdDuplicates) parts.push(`dupNodeIds=${r.schema.nodeIdDuplicates}`);
+    if (r.schema.nodeIdMissing) parts.push(`missingNodeId=${r.schema.nodeIdMissing}`);
+    if (r.schema.nodeGeometryInvalid) parts.push(`badGeom=${r.schema.nodeGeometryInvalid}`);
+    if (r.dates.invalid) parts.push(`invalidDates=${r.dates.invalid}`);
+    if (r.dates.future) parts.push(`futureDates=${r.dates.future}`);
+    if (r.assets.missing) parts.push(`missingAssets=${r.assets.missing}`);
+    if (r.assets.typeExtMismatch) parts.push(`typeExtMismatch=${r.assets.typeExtMismatch}`);
+    if (r.schema.legacyMainAreasFields) parts.push(`legacyMainAreas=${r.schema.legacyMainAreasFields}`);
+    if (r.schema.actionWeirdCase) parts.push(`actionCase=${r.schema.actionWeirdCase}`);
+    if (r.meta.invalidDates.length) parts.push(`badMetaDates=${r.meta.invalidDates.join(",")}`);
+    if (r.meta.endBeforeStart) parts.push("metaEndBeforeStart");
+    if (r.meta.outsideSpan) parts.push(`outsideMetaSpan=${r.meta.outsideSpan}`);
+    if (r.types.undeclared) parts.push(`undeclaredTypes=${r.types.undeclared}`);
+    if (r.types.missingRequired) parts.push(`missingTypeFields=${r.types.missingRequired}`);
+    if (r.macros.unmapped) parts.push(`unmappedAreas=${r.macros.unmapped}`);
+    if (r.links.unsplit) parts.push(`multiUrlLinks=${r.links.unsplit}`);
+    if (r.links.malformed) parts.push(`malformedLinks=${r.links.malformed}`);
+    if (r.links.duplicates) parts.push(`duplicateLinks=${r.links.duplicates}`);
+    return parts;
+  }
+
+  return {
+    PROJECT_VERSION,
+    NODE_W,
+    NODE_H,
+    KNOWN_FOLDERS,
+    MACRO_AREAS_FILE,
+    DEFAULT_MACROS,
+    MACROS,
+    legacyMacros,
+    MACRO_LABELS,
+    parseDate,
+    formatDate,
+    normalizeToken,
+    normalizeTagList,
+    canonicalAreaName,
+    areaDedupeKey,
+    normalizeAreaList,
+    legacyMainAreas,
+    hasLegacyMainAreas,
+    normalizeMacro,
+    normalizeMacros,
+    macroMapping,
+    macroOfArea,
+    macroScores,
+    macroFromAreas,
+    primaryMacro,
+    macroLabel,
+    macroKeys,
+    unmappedAreas,
+    actionKey,
+    canonicalAction,
+    extFromPath,
+    normalizeAssetPath,
+    referencedAssets,
+    coverImage,
+    normalizeFile,
+    LINK_KINDS,
+    normalizeURL,
+    guessLinkKind,
+    splitLinkText,
+    normalizeLink,
+    linkKey,
+    normalizeLinks,
+    linkIssues,
+    CSL_TYPES,
+    CITATION_STYLES,
+    normalizeCSL,
+    parseNames,
+    parseCitations,
+    toBibTeX,
+    citationKey,
+    escHtml,
+    formatCitation,
+    nodeCitation,
+    nodeBibliography,
+    matchCitationFiles,
+    normalizeNode,
+    normalizeEdge,
+    serializeEdge,
+    META_FIELDS,
+    normalizeAuthors,
+    normalizeMeta,
+    folderTitle,
+    projectTitle,
+    metaSummary,
+    GROUP_COLORS,
+    groupIdOf,
+    normalizeGroup,
+    normalizeGroups,
+    projectGroups,
+    RELATION_STYLES,
+    DEFAULT_RELATIONS,
+    relationIdOf,
+    normalizeRelation,
+    normalizeRelations,
+    projectRelations,
+    TYPE_FIELD_KINDS,
+    DEFAULT_TYPES,
+    typeKey,
+    normalizeTypeField,
+    normalizeType,
+    normalizeTypes,
+    projectTypes,
+    normalizeFieldValues,
+    missingTypeFields,
+    TERM_KINDS,
+    termKey,
+    normalizeTerm,
+    normalizeTermList,
+    normalizeTerms,
+    termIndex,
+    projectTerms,
+    resolveTerm,
+    termParent,
+    rootTerm,
+    renameTerm,
+    editDistance,
+    termSimilarity,
+    clusterTerms,
+    applyTermMapping,
+    SEARCH_FIELDS,
+    foldText,
+    searchTerms,
+    emptySearchQuery,
+    isSearchQueryEmpty,
+    matchNodeQuery,
+    searchNodes,
+    serializeNode,
+    serializeProject,
+    stringifyProject,
+    normalizeProject,
+    parseProject,
+    HISTORY_FILE,
+    diffProjects,
+    historyEntry,
+    parseHistory,
+    nodeHistory,
+    deletedNodes,
+    MERGE_FIELDS,
+    mergeProjects,
+    parseNodeRef,
+    nodeRef,
+    combineWorkspace,
+    workspaceOwners,
+    splitWorkspace,
+    compareProjects,
+    LAYOUT_DEFAULTS,
+    layeredLayout,
+    TIMELINE_SCALES,
+    TIMELINE_LANES,
+    timelineLayout,
+    MIGRATIONS,
+    projectVersion,
+    migrateProject,
+    describeMigration,
+    DATE_RULES,
+    CONFIDENCE_RANK,
+    diagnoseDates,
+    MIME_BY_EXT,
+    FIX_RULES,
+    actionNeedsFix,
+    fileTypeMismatch,
+    fixProject,
+    validateProject,
+    validationFlags,
+  };
+});
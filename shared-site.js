@@ -0,0 +1,627 @@
+/* Read-only static site of one or more projects, for juries and the public:
+   a landing page, and per project a landing page, a navigable canvas and one
+   page per node with its assets, plus a search index. Plain files only (no
+   server, no localStorage): it also works opened from disk.
+   Built by the editor (Export site) and by scripts/export-site.js.
+   Browser: <script src="./shared-site.js"> after shared-project.js
+            → window.ThreadscapeSite
+   Node:    require("../shared-site.js") */
+(function initThreadscapeSite(root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./shared-project.js"));
+  else root.ThreadscapeSite = factory(root.ThreadscapeProject);
+})(typeof self !== "undefined" ? self : this, function factory(TP) {
+  const esc = TP.escHtml;
+  const CANVAS_PAD = 80;
+  const TITLE_LINES = 3;
+
+  /* ---------- Paths ---------- */
+  // Node page file name: the id with anything unsafe in a URL or a file
+  // system replaced, "-2", "-3"... on a clash.
+  function pageNames(nodes) {
+    const used = new Set();
+    const out = new Map();
+    for (const n of nodes) {
+      const base = String(n.id).replace(/[^A-Za-z0-9_-]/g, "_") || "node";
+      let name = base;
+      for (let i = 2; used.has(name.toLowerCase()); i += 1) name = `${base}-${i}`;
+      used.add(name.toLowerCase());
+      out.set(n.id, name);
+    }
+    return out;
+  }
+
+  const urlPath = (p) => p.split("/").map(encodeURIComponent).join("/");
+  // SVG coordinates: a tenth of a pixel is plenty
+  const px = (v) => Math.round(v * 10) / 10;
+
+  // Only files inside the project folder are published.
+  function publishedPath(file) {
+    const p = typeof file?.path === "string" ? TP.normalizeAssetPath(file.path) : "";
+    return p && !/^[a-z]+:|^\/|(^|\/)\.\.(\/|$)/i.test(p) ? p : "";
+  }
+
+  /* ---------- Text ---------- */
+  // Same rules as the editor's node description: blank line = paragraph,
+  // "- " lines = list, single newline = line break.
+  function descriptionHtml(text) {
+    const blocks = String(text || "")
+      .replace(/\r\n/g, "\n")
+      .split(/\n\n+/)
+      .map((b) => b.trimEnd())
+      .filter(Boolean);
+    return blocks
+      .map((block) => {
+        const lines = block.split("\n");
+        if (lines.every((ln) => /^[-*]\s+/.test(ln.trim())))
+          return `<ul>${lines.map((ln) => `<li>${esc(ln.trim().replace(/^[-*]\s+/, ""))}</li>`).join("")}</ul>`;
+        return `<p>${lines.map(esc).join("<br>")}</p>`;
+      })
+      .join("\n");
+  }
+
+  // Title split into canvas lines of about maxChars, the last one cut with "…".
+  function wrapTitle(title, maxChars, maxLines = TITLE_LINES) {
+    const lines = [];
+    let line = "";
+    for (const word of String(title || "").split(/\s+/).filter(Boolean)) {
+      if (line && (line + " " + word).length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else line = line ? `${line} ${word}` : word;
+    }
+    if (line) lines.push(line);
+    if (lines.length > maxLines) {
+      lines.length = maxLines;
+      lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, maxChars - 1)}…`;
+    }
+    return lines;
+  }
+
+  function dateSpan(nodes) {
+    const dates = nodes.map((n) => n.data.date).filter((d) => TP.parseDate(d)).sort();
+    if (!dates.length) return "";
+    return dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} → ${dates[dates.length - 1]}`;
+  }
+
+  const byDate = (a, b) =>
+    (a.data.date || "9999").localeCompare(b.data.date || "9999") || a.data.title.localeCompare(b.data.title);
+
+  /* ---------- Model ---------- */
+  // entries: [{ name, project }] (raw project.json) → everything the pages
+  // need, with "<folder>:<id>" edge ends resolved across the exported projects.
+  function siteModel(entries) {
+    const projects = entries.map(({ name, project: raw }) => {
+      const project = TP.normalizeProject(raw).project;
+      const nodes = (Array.isArray(project.nodes) ? project.nodes : []).map(TP.normalizeNode);
+      return {
+        name,
+        title: TP.projectTitle(project, name),
+        meta: TP.normalizeMeta(project.meta),
+        nodes,
+        byId: new Map(nodes.map((n) => [n.id, n])),
+        pages: pageNames(nodes),
+        rawEdges: (Array.isArray(project.edges) ? project.edges : []).map(TP.normalizeEdge),
+        types: TP.projectTypes(project),
+        relations: TP.projectRelations(project),
+        groups: TP.projectGroups(project),
+        cover: TP.coverImage(project),
+      };
+    });
+    const byName = new Map(projects.map((p) => [p.name, p]));
+    // { project, node } of an edge end, or null when it is not exported
+    const resolve = (p, ref) => {
+      if (p.byId.has(ref)) return { project: p, node: p.byId.get(ref) };
+      const { project, id } = TP.parseNodeRef(ref);
+      const other = byName.get(project);
+      return other?.byId.has(id) ? { project: other, node: other.byId.get(id) } : null;
+    };
+    for (const p of projects) {
+      p.edges = [];
+      for (const e of p.rawEdges) {
+        const s = resolve(p, e.s);
+        const t = resolve(p, e.t);
+        if (s && t) p.edges.push({ ...e, from: s, to: t, local: s.project === p && t.project === p });
+      }
+    }
+    // Links of a node from every project, so an incoming cross-project link
+    // shows on the target's page too.
+    const links = new Map();
+    const linksOf = (p, n) => {
+      const key = `${p.name}\n${n.id}`;
+      if (!links.has(key)) links.set(key, { out: [], in: [] });
+      return links.get(key);
+    };
+    for (const p of projects) {
+      for (const e of p.edges) {
+        linksOf(e.from.project, e.from.node).out.push({ edge: e, owner: p, other: e.to });
+        linksOf(e.to.project, e.to.node).in.push({ edge: e, owner: p, other: e.from });
+      }
+    }
+    return { projects, linksOf };
+  }
+
+  /* ---------- Pages ---------- */
+  function page({ title, siteTitle, root, crumbs = [], scope = "", bodyClass = "", main }) {
+    const trail = crumbs.map(([href, label]) => (href ? `<a href="${esc(href)}">${esc(label)}</a>` : `<span>${esc(label)}</span>`));
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${esc(title)}</title>
+    <link rel="stylesheet" href="${root}site.css" />
+  </head>
+  <body class="${bodyClass}" data-root="${root}">
+    <header class="site-head">
+      <nav class="crumbs"><a href="${root}index.html">${esc(siteTitle)}</a>${trail.map((c) => ` <span class="sep">›</span> ${c}`).join("")}</nav>
+      <div class="search">
+        <input type="search" class="site-search" placeholder="Search nodes" aria-label="Search nodes" data-project="${esc(scope)}" />
+        <div class="search-results" hidden></div>
+      </div>
+    </header>
+    <main>
+${main}
+    </main>
+    <script src="${root}search-index.js"></script>
+    <script src="${root}site.js"></script>
+  </body>
+</html>
+`;
+  }
+
+  function typeOf(p, n) {
+    return p.types.get(TP.typeKey(n.data.type)) || null;
+  }
+
+  function typeChip(p, n) {
+    if (!n.data.type) return "";
+    const color = typeOf(p, n)?.color || "#6f6f6f";
+    return `<span class="chip type"><span class="dot" style="background:${esc(color)}"></span>${esc(n.data.type)}</span>`;
+  }
+
+  function actionCounts(nodes) {
+    const out = { exploring: 0, making: 0 };
+    for (const n of nodes) {
+      const k = TP.actionKey(n.data.action);
+      if (k in out) out[k] += 1;
+    }
+    return out;
+  }
+
+  function statsHtml(p) {
+    const a = actionCounts(p.nodes);
+    const total = a.exploring + a.making;
+    const pct = total ? Math.round((a.exploring / total) * 100) : 0;
+    return `<dl class="stats">
+        <dt>Nodes</dt><dd>${p.nodes.length}</dd>
+        <dt>Links</dt><dd>${p.edges.filter((e) => e.local).length}</dd>
+        <dt>Dates</dt><dd>${esc(dateSpan(p.nodes) || "—")}</dd>
+        <dt>Exploring / Making</dt><dd>${total ? `${pct}% / ${100 - pct}%` : "—"}</dd>
+      </dl>`;
+  }
+
+  function sitePage(model, opts) {
+    const cards = model.projects
+      .map((p) => {
+        const cover = p.cover ? `<img src="${esc(`${p.name}/${urlPath(p.cover)}`)}" alt="" loading="lazy" />` : "";
+        return `      <a class="card" href="${esc(p.name)}/index.html">
+        <div class="cover">${cover}</div>
+        <h2>${esc(p.title)}</h2>
+        <p class="muted">${esc(TP.metaSummary(p.meta) || p.name)}</p>
+        <p class="muted">${p.nodes.length} nodes · ${esc(dateSpan(p.nodes) || "no dates")}</p>
+      </a>`;
+      })
+      .join("\n");
+    return page({
+      title: opts.title,
+      siteTitle: opts.title,
+      root: "",
+      bodyClass: "home",
+      main: `      <h1>${esc(opts.title)}</h1>
+      <p class="muted">${model.projects.length} project(s) · published ${esc(opts.generatedAt.slice(0, 10))}</p>
+      <div class="cards">
+${cards}
+      </div>`,
+    });
+  }
+
+  function projectPage(p, opts) {
+    const rows = [...p.nodes]
+      .sort(byDate)
+      .map(
+        (n) => `          <tr><td>${esc(n.data.date)}</td><td><a href="nodes/${p.pages.get(n.id)}.html">${esc(n.data.title || "(untitled)")}</a></td><td>${typeChip(p, n)}</td><td>${esc(n.data.action || "")}</td></tr>`
+      )
+      .join("\n");
+    const brief = p.meta.brief ? `<div class="desc">${descriptionHtml(p.meta.brief)}</div>` : "";
+    const license = p.meta.license ? `<p class="muted">License: ${esc(p.meta.license)}</p>` : "";
+    return page({
+      title: `${p.title} — ${opts.title}`,
+      siteTitle: opts.title,
+      root: "../",
+      crumbs: [[null, p.title]],
+      scope: p.name,
+      main: `      <h1>${esc(p.title)}</h1>
+      <p class="muted">${esc(TP.metaSummary(p.meta) || p.name)}</p>${brief ? `\n      ${brief}` : ""}
+      ${statsHtml(p)}
+      <p><a class="button" href="canvas.html">Open the canvas</a></p>
+      <h2>Nodes by date</h2>
+      <table class="timeline">
+        <thead><tr><th>Date</th><th>Title</th><th>Type</th><th>Action</th></tr></thead>
+        <tbody>
+${rows}
+        </tbody>
+      </table>${license ? `\n      ${license}` : ""}`,
+    });
+  }
+
+  // The project's canvas as one SVG: node boxes at their saved position
+  // (type colour, title, first image), group frames, links with the
+  // relation's colour and stroke. Each box links to the node page.
+  function canvasSvg(p) {
+    if (!p.nodes.length) return `<p class="muted">No nodes.</p>`;
+    const minX = px(Math.min(...p.nodes.map((n) => n.x)) - CANVAS_PAD);
+    const minY = px(Math.min(...p.nodes.map((n) => n.y)) - CANVAS_PAD);
+    const maxX = px(Math.max(...p.nodes.map((n) => n.x + n.w)) + CANVAS_PAD);
+    const maxY = px(Math.max(...p.nodes.map((n) => n.y + n.h)) + CANVAS_PAD);
+    const dash = { solid: "", dotted: "2 4", dashdot: "12 4 2 4" };
+
+    const frames = [];
+    for (const g of p.groups.values()) {
+      const members = p.nodes.filter((n) => n.group === g.id);
+      if (!members.length) continue;
+      const x = px(Math.min(...members.map((n) => n.x)) - 24);
+      const y = px(Math.min(...members.map((n) => n.y)) - 54);
+      const w = px(Math.max(...members.map((n) => n.x + n.w)) + 24 - x);
+      const h = px(Math.max(...members.map((n) => n.y + n.h)) + 24 - y);
+      frames.push(`<g class="group"><rect x="${x}" y="${y}" width="${w}" height="${h}" rx="16" fill="${g.color}" fill-opacity="0.06" stroke="${g.color}" /><text x="${x + 16}" y="${y + 32}" fill="${g.color}">${esc(g.title)}</text></g>`);
+    }
+
+    const lines = p.edges
+      .filter((e) => e.local)
+      .map((e) => {
+        const a = e.from.node;
+        const b = e.to.node;
+        const x1 = px(a.x + a.w);
+        const y1 = px(a.y + a.h / 2);
+        const x2 = px(b.x);
+        const y2 = px(b.y + b.h / 2);
+        const dx = px(Math.max(40, Math.abs(x2 - x1) / 2));
+        const rel = e.type ? p.relations.get(e.type) : null;
+        const pattern = e.dashed ? "6 4" : dash[rel?.style] || "";
+        const label = [rel?.label, e.label].filter(Boolean).join(": ");
+        return `<path d="M${x1} ${y1} C${px(x1 + dx)} ${y1} ${px(x2 - dx)} ${y2} ${x2} ${y2}" stroke="${rel?.color || "#9a9a9a"}"${pattern ? ` stroke-dasharray="${pattern}"` : ""} marker-end="url(#arrow)">${label ? `<title>${esc(label)}</title>` : ""}</path>`;
+      });
+
+    const boxes = p.nodes.map((n) => {
+      const color = typeOf(p, n)?.color || "#9a9a9a";
+      const title = wrapTitle(n.data.title || "(untitled)", Math.max(12, Math.floor((n.w - 28) / 9)));
+      const kicker = [n.data.type, n.data.date].filter(Boolean).join(" · ");
+      const top = 52 + title.length * 22;
+      const image = n.data.files.map((f) => (f.isImage ? publishedPath(f) : "")).find(Boolean);
+      const imageH = n.h - top - 14;
+      const img =
+        image && imageH >= 60
+          ? `<image href="${esc(urlPath(image))}" x="14" y="${top}" width="${px(n.w - 28)}" height="${px(imageH)}" preserveAspectRatio="xMidYMid slice" />`
+          : "";
+      return `<a href="nodes/${p.pages.get(n.id)}.html" id="node-${p.pages.get(n.id)}"><g class="node" transform="translate(${px(n.x)} ${px(n.y)})"><title>${esc(n.data.title)}</title><rect width="${px(n.w)}" height="${px(n.h)}" rx="12" /><rect class="band" width="${px(n.w)}" height="6" rx="3" fill="${color}" /><text class="kicker" x="14" y="30">${esc(kicker)}</text><text class="title" x="14" y="54">${title.map((t, i) => `<tspan x="14" dy="${i ? 22 : 0}">${esc(t)}</tspan>`).join("")}</text>${img}</g></a>`;
+    });
+
+    return `<svg class="site-canvas" xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${maxX - minX} ${maxY - minY}">
+        <defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse"><path d="M0 0L10 5L0 10z" fill="#9a9a9a" /></marker></defs>
+        <g class="groups">${frames.join("")}</g>
+        <g class="edges">${lines.join("")}</g>
+        <g class="nodes">${boxes.join("")}</g>
+      </svg>`;
+  }
+
+  function canvasPage(p, opts) {
+    return page({
+      title: `${p.title} · canvas — ${opts.title}`,
+      siteTitle: opts.title,
+      root: "../",
+      crumbs: [["index.html", p.title], [null, "Canvas"]],
+      scope: p.name,
+      bodyClass: "canvas-page",
+      main: `      <div class="canvas-tools"><button type="button" data-fit>Fit</button><span class="muted">Drag to move · wheel to zoom · click a node to open it</span></div>
+      ${canvasSvg(p)}`,
+    });
+  }
+
+  function nodeHref(from, to, node) {
+    const file = `${to.pages.get(node.id)}.html`;
+    return from === to ? file : `../../${to.name}/nodes/${file}`;
+  }
+
+  function connectionList(p, list, heading) {
+    if (!list.length) return "";
+    const items = list.map(({ edge, owner, other }) => {
+      const rel = edge.type ? owner.relations.get(edge.type) : null;
+      const what = [rel?.label, edge.label].filter(Boolean).join(": ");
+      const where = other.project === p ? "" : ` <span class="muted">(${esc(other.project.title)})</span>`;
+      return `<li><a href="${esc(nodeHref(p, other.project, other.node))}">${esc(other.node.data.title || "(untitled)")}</a>${where}${what ? ` <span class="muted">— ${esc(what)}</span>` : ""}${edge.dashed ? ` <span class="muted">(weak)</span>` : ""}</li>`;
+    });
+    return `<section><h2>${heading}</h2><ul>${items.join("")}</ul></section>`;
+  }
+
+  function nodePage(model, p, n, neighbours, opts) {
+    const d = n.data;
+    const type = typeOf(p, n);
+    const terms = [...d.areas.map((a) => `<span class="chip">${esc(a)}</span>`), ...d.tags.map((t) => `<span class="chip tag">#${esc(t)}</span>`)];
+    const fields = (type?.fields || [])
+      .filter((f) => d.fields[f.id])
+      .map((f) => `<dt>${esc(f.label)}</dt><dd>${f.kind === "url" ? `<a href="${esc(d.fields[f.id])}" rel="noopener">${esc(d.fields[f.id])}</a>` : esc(d.fields[f.id])}</dd>`);
+    const csl = TP.nodeCitation(n);
+    const images = [];
+    const others = [];
+    for (const f of d.files) {
+      const path = publishedPath(f);
+      if (!path) {
+        others.push(`<li>${esc(f.name || "file")} <span class="muted">(not published)</span></li>`);
+        continue;
+      }
+      const href = esc(`../${urlPath(path)}`);
+      if (f.isImage) images.push(`<figure><a href="${href}"><img src="${href}" alt="${esc(f.name)}" loading="lazy" /></a></figure>`);
+      else others.push(`<li><a href="${href}">${esc(f.name || path)}</a>${f.isPDF ? ` <span class="muted">PDF</span>` : ""}</li>`);
+    }
+    // Only http(s) addresses become links: anything else is shown as text
+    const links = d.links.map((l) => [l, TP.normalizeURL(l.url)]).map(
+      ([l, url]) =>
+        `<li>${url ? `<a href="${esc(url)}" rel="noopener">${esc(l.title || l.url)}</a>` : esc(l.title || l.url)}${l.kind ? ` <span class="muted">${esc(l.kind)}</span>` : ""}${l.note ? `<br /><span class="muted">${esc(l.note)}</span>` : ""}</li>`
+    );
+    const { out, in: incoming } = model.linksOf(p, n);
+    const [prev, next] = neighbours;
+    const step = (m, label) => (m ? `<a href="${p.pages.get(m.id)}.html">${label}: ${esc(m.data.title || "(untitled)")}</a>` : "<span></span>");
+
+    return page({
+      title: `${d.title || "(untitled)"} — ${p.title}`,
+      siteTitle: opts.title,
+      root: "../../",
+      crumbs: [["../index.html", p.title], [`../canvas.html#node-${p.pages.get(n.id)}`, "Canvas"], [null, d.title || "(untitled)"]],
+      scope: p.name,
+      bodyClass: "node-page",
+      main: `      <article>
+${[
+  `<p class="kicker">${[typeChip(p, n), esc(d.action || ""), esc(d.date)].filter(Boolean).join(" · ")}</p>`,
+  `<h1>${esc(d.title || "(untitled)")}</h1>`,
+  terms.length ? `<p class="terms">${terms.join(" ")}</p>` : "",
+  fields.length ? `<dl class="fields">${fields.join("")}</dl>` : "",
+  csl ? `<p class="citation">${TP.formatCitation(csl, "apa", { html: true })}</p>` : "",
+  d.desc ? `<div class="desc">${descriptionHtml(d.desc)}</div>` : "",
+  images.length ? `<div class="figures">${images.join("")}</div>` : "",
+  others.length ? `<section><h2>Files</h2><ul>${others.join("")}</ul></section>` : "",
+  links.length ? `<section><h2>Links</h2><ul>${links.join("")}</ul></section>` : "",
+  connectionList(p, out, "Leads to"),
+  connectionList(p, incoming, "Comes from"),
+  `<nav class="steps">${step(prev, "Previous")}${step(next, "Next")}</nav>`,
+]
+  .filter(Boolean)
+  .map((line) => `        ${line}`)
+  .join("\n")}
+      </article>`,
+    });
+  }
+
+  /* ---------- Search index ---------- */
+  function searchIndex(model) {
+    const out = [];
+    for (const p of model.projects) {
+      for (const n of p.nodes) {
+        const d = n.data;
+        const text = [d.title, d.type, d.action, d.date, d.desc, ...d.areas, ...d.tags, ...d.links.flatMap((l) => [l.title, l.url]), ...d.files.map((f) => f.name), ...Object.values(d.fields)];
+        out.push({
+          p: p.name,
+          pt: p.title,
+          u: `${p.name}/nodes/${p.pages.get(n.id)}.html`,
+          t: d.title,
+          y: d.type,
+          d: d.date,
+          x: TP.foldText(text.filter(Boolean).join(" ")).replace(/\s+/g, " "),
+        });
+      }
+    }
+    return out;
+  }
+
+  /* ---------- Script and style ---------- */
+  // Runs in the published pages; serialised as is into site.js.
+  function siteScript() {
+    const root = document.body.dataset.root || "";
+    const fold = (s) =>
+      String(s || "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase();
+
+    const input = document.querySelector(".site-search");
+    const box = document.querySelector(".search-results");
+    const index = window.THREADSCAPE_SEARCH || [];
+    if (input && box) {
+      const run = () => {
+        const words = fold(input.value).split(/\s+/).filter(Boolean);
+        box.innerHTML = "";
+        box.hidden = !words.length;
+        if (!words.length) return;
+        const scope = input.dataset.project || "";
+        const hits = index.filter((e) => (!scope || e.p === scope) && words.every((w) => e.x.includes(w)));
+        for (const e of hits.slice(0, 50)) {
+          const a = document.createElement("a");
+          a.href = root + e.u;
+          const title = document.createElement("strong");
+          title.textContent = e.t || "(untitled)";
+          const info = document.createElement("span");
+          info.textContent = [scope ? "" : e.pt, e.y, e.d].filter(Boolean).join(" · ");
+          a.append(title, info);
+          box.appendChild(a);
+        }
+        if (!hits.length) box.textContent = "No matching nodes";
+        else if (hits.length > 50) box.append(`${hits.length - 50} more: refine the search`);
+      };
+      input.addEventListener("input", run);
+      input.addEventListener("keydown", (e) => {
+        if (e.key !== "Escape") return;
+        input.value = "";
+        run();
+      });
+    }
+
+    const svg = document.querySelector("svg.site-canvas");
+    if (!svg) return;
+    const full = svg.viewBox.baseVal;
+    const home = { x: full.x, y: full.y, w: full.width, h: full.height };
+    let view = { ...home };
+    const apply = () => svg.setAttribute("viewBox", `${view.x} ${view.y} ${view.w} ${view.h}`);
+    const toSvg = (clientX, clientY) => {
+      const pt = svg.createSVGPoint();
+      pt.x = clientX;
+      pt.y = clientY;
+      return pt.matrixTransform(svg.getScreenCTM().inverse());
+    };
+    svg.addEventListener(
+      "wheel",
+      (e) => {
+        e.preventDefault();
+        const f = Math.exp(Math.max(-0.5, Math.min(0.5, e.deltaY * 0.002)));
+        const p = toSvg(e.clientX, e.clientY);
+        view = { x: p.x - (p.x - view.x) * f, y: p.y - (p.y - view.y) * f, w: view.w * f, h: view.h * f };
+        apply();
+      },
+      { passive: false }
+    );
+    let drag = null;
+    svg.addEventListener("pointerdown", (e) => {
+      drag = { start: toSvg(e.clientX, e.clientY), x: e.clientX, y: e.clientY, moved: false };
+    });
+    window.addEventListener("pointermove", (e) => {
+      if (!drag) return;
+      if (Math.abs(e.clientX - drag.x) + Math.abs(e.clientY - drag.y) > 4) drag.moved = true;
+      if (!drag.moved) return;
+      svg.classList.add("dragging");
+      const p = toSvg(e.clientX, e.clientY);
+      view.x -= p.x - drag.start.x;
+      view.y -= p.y - drag.start.y;
+      apply();
+    });
+    window.addEventListener("pointerup", () => {
+      svg.classList.remove("dragging");
+      setTimeout(() => (drag = null));
+    });
+    // a drag that ends on a node does not open it
+    svg.addEventListener("click", (e) => drag?.moved && e.preventDefault(), true);
+    document.querySelector("[data-fit]")?.addEventListener("click", () => {
+      view = { ...home };
+      apply();
+    });
+    // canvas.html#node-<id> (from a node page): centred on that node
+    const target = location.hash && document.getElementById(location.hash.slice(1));
+    if (target) {
+      const b = target.getBBox();
+      const w = Math.max(b.width * 4, 1200);
+      const h = (w * home.h) / home.w;
+      view = { x: b.x + b.width / 2 - w / 2, y: b.y + b.height / 2 - h / 2, w, h };
+      apply();
+      target.classList.add("focus");
+    }
+  }
+
+  const SITE_CSS = `:root { --bg: #f5f5f5; --panel: #fff; --ink: #111; --muted: #6f6f6f; --line: rgba(0, 0, 0, 0.1); }
+* { box-sizing: border-box; }
+body { margin: 0; background: var(--bg); color: var(--ink); font: 15px/1.5 system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; }
+a { color: inherit; }
+.muted { color: var(--muted); }
+.site-head { position: sticky; top: 0; z-index: 2; display: flex; gap: 16px; align-items: center; justify-content: space-between; padding: 10px 20px; background: var(--panel); border-bottom: 1px solid var(--line); }
+.crumbs { font-size: 14px; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+.crumbs a { text-decoration: none; font-weight: 600; }
+.crumbs .sep { color: var(--muted); margin: 0 4px; }
+.search { position: relative; }
+.site-search { width: 260px; padding: 6px 10px; border: 1px solid var(--line); border-radius: 8px; font: inherit; }
+.search-results { position: absolute; right: 0; top: calc(100% + 6px); width: 360px; max-height: 70vh; overflow: auto; padding: 6px; background: var(--panel); border: 1px solid var(--line); border-radius: 10px; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.12); font-size: 13px; }
+.search-results a { display: block; padding: 6px 8px; border-radius: 6px; text-decoration: none; }
+.search-results a:hover { background: var(--bg); }
+.search-results span { display: block; color: var(--muted); }
+main { max-width: 960px; margin: 0 auto; padding: 24px 20px 64px; }
+h1 { font-size: 28px; line-height: 1.2; margin: 8px 0; }
+h2 { font-size: 16px; margin: 28px 0 8px; }
+.cards { display: grid; grid-template-columns: repeat(auto-fill, minmax(260px, 1fr)); gap: 16px; margin-top: 20px; }
+.card { display: block; background: var(--panel); border: 1px solid var(--line); border-radius: 12px; overflow: hidden; text-decoration: none; }
+.card .cover { aspect-ratio: 16 / 9; background: #e6e6e6; }
+.card .cover img { width: 100%; height: 100%; object-fit: cover; display: block; }
+.card h2, .card p { margin: 8px 14px; }
+.stats { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+.stats dt { color: var(--muted); }
+.stats dd { margin: 0; }
+.button { display: inline-block; padding: 8px 14px; border-radius: 8px; background: var(--ink); color: #fff; text-decoration: none; }
+.timeline { width: 100%; border-collapse: collapse; background: var(--panel); font-size: 14px; }
+.timeline th, .timeline td { text-align: left; padding: 6px 10px; border-bottom: 1px solid var(--line); vertical-align: top; }
+.timeline td:first-child { white-space: nowrap; color: var(--muted); }
+.chip { display: inline-flex; align-items: center; gap: 6px; padding: 1px 8px; border: 1px solid var(--line); border-radius: 999px; font-size: 12px; background: var(--panel); }
+.chip .dot { width: 8px; height: 8px; border-radius: 50%; }
+.chip.tag { color: var(--muted); }
+.kicker { color: var(--muted); font-size: 13px; }
+.desc p { margin: 0 0 12px; }
+.fields { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; }
+.fields dt { color: var(--muted); }
+.fields dd { margin: 0; }
+.citation { padding: 10px 14px; background: var(--panel); border-left: 3px solid var(--line); }
+.figures { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 12px; margin: 16px 0; }
+.figures figure { margin: 0; }
+.figures img { width: 100%; border-radius: 8px; display: block; }
+.steps { display: flex; justify-content: space-between; gap: 16px; margin-top: 32px; font-size: 14px; }
+.canvas-page main { max-width: none; padding: 0; }
+.canvas-tools { display: flex; gap: 12px; align-items: center; padding: 8px 20px; font-size: 13px; }
+.canvas-tools button { font: inherit; padding: 4px 12px; border: 1px solid var(--line); border-radius: 8px; background: var(--panel); cursor: pointer; }
+svg.site-canvas { display: block; width: 100%; height: calc(100vh - 100px); cursor: grab; touch-action: none; user-select: none; }
+svg.site-canvas.dragging { cursor: grabbing; }
+.site-canvas .node rect:first-of-type { fill: #fff; stroke: rgba(0, 0, 0, 0.12); }
+.site-canvas a:hover .node rect:first-of-type, .site-canvas a.focus .node rect:first-of-type { stroke: #111; stroke-width: 2; }
+.site-canvas .kicker { font-size: 12px; fill: var(--muted); }
+.site-canvas .title { font-size: 16px; font-weight: 600; fill: var(--ink); }
+.site-canvas .edges path { fill: none; stroke-width: 2; }
+.site-canvas .group text { font-size: 18px; font-weight: 600; }
+@media (max-width: 640px) { .site-head { flex-direction: column; align-items: stretch; } .site-search, .search-results { width: 100%; } }
+`;
+
+  /* ---------- Build ---------- */
+  // entries: [{ name, project }]; opts: { title, generatedAt (ISO) }.
+  // Returns { files: [{ path, text }], assets: [{ project, from, to }]}:
+  // pages to write, and the files to copy from <project>/<from> to <to>.
+  function buildSite(entries, opts = {}) {
+    const o = {
+      title: opts.title || "Threadscape",
+      generatedAt: opts.generatedAt || new Date().toISOString(),
+    };
+    const model = siteModel(entries);
+    const files = [
+      { path: "index.html", text: sitePage(model, o) },
+      { path: "site.css", text: SITE_CSS },
+      { path: "site.js", text: `(${siteScript.toString()})();\n` },
+      { path: "search-index.js", text: `window.THREADSCAPE_SEARCH = ${JSON.stringify(searchIndex(model))};\n` },
+    ];
+    const assets = [];
+    for (const p of model.projects) {
+      files.push({ path: `${p.name}/index.html`, text: projectPage(p, o) });
+      files.push({ path: `${p.name}/canvas.html`, text: canvasPage(p, o) });
+      const chrono = [...p.nodes].sort(byDate);
+      chrono.forEach((n, i) => {
+        files.push({
+          path: `${p.name}/nodes/${p.pages.get(n.id)}.html`,
+          text: nodePage(model, p, n, [chrono[i - 1], chrono[i + 1]], o),
+        });
+      });
+      const seen = new Set();
+      for (const n of p.nodes) {
+        for (const f of n.data.files) {
+          const from = publishedPath(f);
+          if (!from || seen.has(from)) continue;
+          seen.add(from);
+          assets.push({ project: p.name, from, to: `${p.name}/${from}` });
+        }
+      }
+    }
+    return { files, assets };
+  }
+
+  return {
+    buildSite,
+    descriptionHtml,
+  };
+});
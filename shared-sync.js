@@ -0,0 +1,156 @@
+/* Live link between the editor, Space analysis and Process analysis, also
+   across tabs: the latest shared project is kept in IndexedDB (no localStorage
+   quota) and changes are announced on a BroadcastChannel.
+     project   the editor's current project.json, published on every edit;
+               the analyzers rebuild from it.
+     selection node ids selected in any view, mirrored by the others when
+               they show the same project (sameProject).
+   The same stored project is the hand-off read on navigation (?from=...). */
+(function initThreadscapeSync() {
+  const NS = (window.ThreadscapeSync = window.ThreadscapeSync || {});
+
+  const CHANNEL_NAME = "threadscape.sync";
+  const DB_NAME = "threadscape.shared";
+  const STORE = "shared";
+  const PROJECT_KEY = "project";
+  // Previous hand-off key: still read, written only when IndexedDB fails.
+  const LEGACY_KEY = "threadscape.shared.project.v1";
+
+  const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  let dbPromise = null;
+
+  function openDb() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+          reject(new Error("IndexedDB not available"));
+          return;
+        }
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(mode, run) {
+    const db = await openDb();
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = run(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function readLegacy() {
+    try {
+      const raw = localStorage.getItem(LEGACY_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // payload: { version, source, savedAt, folderName, assetBase, label?, project }
+  async function saveProject(payload) {
+    try {
+      await withStore("readwrite", (store) => store.put(payload, PROJECT_KEY));
+    } catch (err) {
+      console.warn("Shared project: IndexedDB write failed, using localStorage", err);
+      localStorage.setItem(LEGACY_KEY, JSON.stringify(payload));
+      return payload;
+    }
+    // Stored: the localStorage hand-off, if any, is stale now
+    try {
+      localStorage.removeItem(LEGACY_KEY);
+    } catch (err) {
+      console.warn("Shared project: localStorage cleanup failed", err);
+    }
+    return payload;
+  }
+
+  // Most recent of the stored project and a hand-off left by an older page.
+  async function loadProject() {
+    let stored = null;
+    try {
+      stored = await withStore("readonly", (store) => store.get(PROJECT_KEY));
+    } catch (err) {
+      console.warn("Shared project: IndexedDB read failed", err);
+    }
+    const legacy = readLegacy();
+    const candidates = [stored, legacy].filter((p) => p && p.project);
+    candidates.sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+    return candidates[0] || null;
+  }
+
+  // a, b: { folderName, title }. Two views show the same project when their
+  // folders match. When either folder is unknown (a JSON opened from disk) the
+  // project titles have to match instead: node ids are project-local, so a
+  // guess could select an unrelated node.
+  function sameProject(a, b) {
+    if (a?.folderName && b?.folderName) return a.folderName === b.folderName;
+    return !!a?.title && a.title === b?.title;
+  }
+
+  // view: "editor" | "space" | "process"
+  // handlers.onProject(payload), handlers.onSelection({ view, folderName, title, ids })
+  function connect(view, handlers = {}) {
+    const channel = "BroadcastChannel" in window ? new BroadcastChannel(CHANNEL_NAME) : null;
+    let lastSelection = null;
+
+    channel?.addEventListener("message", (e) => {
+      const msg = e.data;
+      if (!msg || msg.tab === tabId) return;
+      try {
+        if (msg.type === "project" && msg.payload?.project) handlers.onProject?.(msg.payload);
+        if (msg.type === "selection") {
+          lastSelection = JSON.stringify(msg.ids);
+          handlers.onSelection?.({ view: msg.view, folderName: msg.folderName, title: msg.title, ids: msg.ids });
+        }
+      } catch (err) {
+        console.warn("Live sync: message not applied", err);
+      }
+    });
+
+    return {
+      live: !!channel,
+      // Stores the project for navigation and announces it to open views.
+      async publishProject(payload) {
+        await saveProject(payload);
+        channel?.postMessage({ type: "project", tab: tabId, view, payload });
+        return payload;
+      },
+      // scope: { folderName, title } of the project shown here. Repeated
+      // selections (and echoes of a received one) are not resent.
+      publishSelection(scope, ids) {
+        const list = [...new Set((ids || []).map(String))];
+        const key = JSON.stringify(list);
+        if (key === lastSelection) return;
+        lastSelection = key;
+        channel?.postMessage({
+          type: "selection",
+          tab: tabId,
+          view,
+          folderName: scope?.folderName || null,
+          title: scope?.title || "",
+          ids: list,
+        });
+      },
+      close() {
+        channel?.close();
+      },
+    };
+  }
+
+  NS.saveProject = saveProject;
+  NS.loadProject = loadProject;
+  NS.sameProject = sameProject;
+  NS.connect = connect;
+})();
@@ -0,0 +1,293 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TP = require("../shared-project.js");
+
+// A small project as the editor saved it at version 6.
+function v6Project() {
+  const node = (id, date, title, extra = {}) => ({
+    id,
+    x: 0,
+    y: 0,
+    w: 320,
+    h: 200,
+    group: null,
+    data: { date, title, type: "Research", action: null, areas: [], tags: [], desc: "", links: [], files: [], ...extra },
+  });
+  return {
+    version: 6,
+    nodes: [
+      node("a", "2025-09-01", "Brief", { type: "Brief", action: "exploring", areas: ["Comunicazione visiva"] }),
+      node("b", "2025-09-10", "Interviews", { action: "  ", tags: ["Arts"], links: ["https://example.org/a"] }),
+      node("c", "2025-09-20", "Prototype", { action: "Making" }),
+    ],
+    edges: [
+      { s: "a", t: "b", dashed: false },
+      { s: "b", t: "c", dashed: false },
+      { s: "b", t: "gone", dashed: false },
+      { s: "c", t: "2_media:x1", dashed: false },
+    ],
+    vocab: { areas: ["Comunicazione visiva"], tags: ["Arts"], type: ["Brief", "Research"] },
+  };
+}
+
+const node = (id, title, extra = {}) => ({ id, x: 0, y: 0, data: { title, type: "Research", ...extra } });
+const project = (nodes, edges = []) => TP.serializeProject({ version: TP.PROJECT_VERSION, nodes, edges });
+
+test("migrating a v6 project reaches the current version and is stable", () => {
+  const m = TP.migrateProject(v6Project());
+  assert.equal(m.fromVersion, 6);
+  assert.equal(m.toVersion, TP.PROJECT_VERSION);
+  assert.ok(m.applied.length > 0);
+
+  const saved = JSON.parse(TP.stringifyProject(m.project));
+  const again = TP.migrateProject(saved);
+  assert.deepEqual(again.applied, []);
+  assert.deepEqual(TP.serializeProject(again.project), TP.serializeProject(m.project));
+  assert.deepEqual(TP.parseProject(JSON.stringify(saved)).project, TP.serializeProject(m.project));
+});
+
+test("migration does not modify its input", () => {
+  const json = v6Project();
+  const before = JSON.stringify(json);
+  TP.migrateProject(json);
+  assert.equal(JSON.stringify(json), before);
+});
+
+test("migration fixes action casing and leaves empty actions alone", () => {
+  const { project: p } = TP.normalizeProject(v6Project());
+  const byId = new Map(p.nodes.map((n) => [n.id, n]));
+  assert.equal(byId.get("a").data.action, "Exploring");
+  assert.equal(byId.get("c").data.action, "Making");
+  assert.equal(TP.actionNeedsFix("  "), false);
+  assert.equal(TP.actionNeedsFix(""), false);
+  assert.equal(TP.actionNeedsFix("exploring"), true);
+});
+
+test("migration drops dangling edges but keeps cross-project ends", () => {
+  const { project: p } = TP.normalizeProject(v6Project());
+  const ends = p.edges.map((e) => `${e.s}>${e.t}`);
+  assert.ok(!ends.includes("b>gone"));
+  assert.ok(ends.includes("c>2_media:x1"));
+  assert.ok(ends.includes("a>b"));
+});
+
+test("migration seeds the macro mapping from the area spellings in use", () => {
+  const { project: p } = TP.normalizeProject(v6Project());
+  const communication = p.macros.find((m) => m.id === "communication");
+  assert.ok(communication.areas.includes("Comunicazione visiva"));
+  assert.equal(TP.macroOfArea("Comunicazione visiva", TP.macroMapping(p)), "communication");
+});
+
+test("newer projects are returned untouched", () => {
+  const json = { version: TP.PROJECT_VERSION + 1, nodes: [], edges: [], extra: true };
+  const m = TP.migrateProject(json);
+  assert.equal(m.newer, true);
+  assert.deepEqual(TP.normalizeProject(json).project, json);
+});
+
+test("diffProjects keeps a solid and a dashed edge between two nodes apart", () => {
+  const before = project([node("a", "A"), node("b", "B")], [{ s: "a", t: "b" }]);
+  const after = project(
+    [node("a", "A"), node("b", "B2")],
+    [
+      { s: "a", t: "b", label: "x" },
+      { s: "a", t: "b", dashed: true },
+    ]
+  );
+  const ops = TP.diffProjects(before, after).map((c) => c.op);
+  assert.deepEqual(ops.sort(), ["edge.add", "edge.edit", "node.edit"]);
+  const add = TP.diffProjects(before, after).find((c) => c.op === "edge.add");
+  assert.equal(add.dashed, true);
+  assert.equal(TP.historyEntry(before, before), null);
+});
+
+test("mergeProjects takes one-sided edits and reports both-sided ones", () => {
+  const base = project([node("a", "A", { desc: "" }), node("b", "B")], [{ s: "a", t: "b" }]);
+  const ours = project([node("a", "A ours", { desc: "" }), node("b", "B")], [{ s: "a", t: "b" }]);
+  const theirs = project([node("a", "A theirs", { desc: "notes" }), node("b", "B")], [{ s: "a", t: "b" }]);
+  const { project: merged, conflicts } = TP.mergeProjects(base, ours, theirs);
+  const a = merged.nodes.find((n) => n.id === "a");
+  assert.equal(a.data.title, "<<<<<<< ours\nA ours\n=======\nA theirs\n>>>>>>> theirs");
+  assert.equal(a.data.desc, "notes");
+  assert.deepEqual(
+    conflicts.map((c) => [c.id, c.field]),
+    [["a", "title"]]
+  );
+});
+
+test("mergeProjects keeps a node edited on one side and deleted on the other, with its edges", () => {
+  const nodes = [node("a", "A"), node("b", "B"), node("c", "C")];
+  const edges = [
+    { s: "a", t: "b" },
+    { s: "b", t: "c" },
+  ];
+  const base = project(nodes, edges);
+  const ours = project([node("a", "A"), node("c", "C")]);
+  const theirs = project([node("a", "A"), node("b", "B edited"), node("c", "C")], edges);
+  const { project: merged, conflicts } = TP.mergeProjects(base, ours, theirs);
+  assert.ok(merged.nodes.some((n) => n.id === "b"));
+  assert.deepEqual(
+    merged.edges.map((e) => `${e.s}>${e.t}`),
+    ["a>b", "b>c"]
+  );
+  assert.deepEqual(
+    conflicts.map((c) => [c.id, c.field, c.ours, c.theirs]),
+    [["b", "node", "deleted", "modified"]]
+  );
+});
+
+test("mergeProjects drops a node deleted on one side and untouched on the other", () => {
+  const base = project([node("a", "A"), node("b", "B")], [{ s: "a", t: "b" }]);
+  const ours = project([node("a", "A")]);
+  const { project: merged, conflicts, stats } = TP.mergeProjects(base, ours, base);
+  assert.deepEqual(
+    merged.nodes.map((n) => n.id),
+    ["a"]
+  );
+  assert.deepEqual(merged.edges, []);
+  assert.deepEqual(conflicts, []);
+  assert.equal(stats.removed, 1);
+});
+
+test("mergeProjects merges a dashed edge added next to a solid one", () => {
+  const base = project([node("a", "A"), node("b", "B")], [{ s: "a", t: "b" }]);
+  const theirs = project(
+    [node("a", "A"), node("b", "B")],
+    [
+      { s: "a", t: "b" },
+      { s: "a", t: "b", dashed: true },
+    ]
+  );
+  const { project: merged, conflicts } = TP.mergeProjects(base, base, theirs);
+  assert.deepEqual(
+    merged.edges.map((e) => e.dashed),
+    [false, true]
+  );
+  assert.deepEqual(conflicts, []);
+});
+
+function workspaceEntries() {
+  // Both projects start from the same brief (same title and type, no incoming edges).
+  const brief = (id) => node(id, "Shared brief", { type: "Brief" });
+  return [
+    { name: "1_alpha", project: project([brief("r1"), node("a1", "Alpha work")], [{ s: "r1", t: "a1" }]) },
+    { name: "2_beta", project: project([brief("r2"), node("b1", "Beta work")], [{ s: "r2", t: "b1" }]) },
+  ];
+}
+
+test("combineWorkspace merges shared roots and splitWorkspace restores each project", () => {
+  const entries = workspaceEntries();
+  const ws = TP.combineWorkspace(entries);
+  const roots = ws.project.nodes.filter((n) => n.data.title === "Shared brief");
+  assert.equal(roots.length, 1);
+  assert.equal(ws.shared[roots[0].id].length, 2);
+  assert.equal(ws.project.nodes.length, 3);
+  assert.equal(ws.project.edges.length, 2);
+
+  const split = TP.splitWorkspace(TP.serializeProject(ws.project), { projects: entries, ...ws });
+  assert.deepEqual(
+    split.map((s) => s.name),
+    ["1_alpha", "2_beta"]
+  );
+  for (const s of split) {
+    const original = entries.find((e) => e.name === s.name).project;
+    assert.deepEqual(s.project, TP.serializeProject(original));
+  }
+});
+
+test("an edge drawn across projects in a workspace is stored with a qualified end", () => {
+  const entries = workspaceEntries();
+  const ws = TP.combineWorkspace(entries);
+  const combined = TP.serializeProject(ws.project);
+  const alpha = combined.nodes.find((n) => n.data.title === "Alpha work");
+  const beta = combined.nodes.find((n) => n.data.title === "Beta work");
+  combined.edges.push({ s: alpha.id, t: beta.id });
+
+  const split = TP.splitWorkspace(combined, { projects: entries, ...ws });
+  const alphaEdges = split.find((s) => s.name === "1_alpha").project.edges;
+  assert.ok(alphaEdges.some((e) => e.s === "a1" && e.t === "2_beta:b1"));
+  assert.equal(TP.validateProject(split[0].project, { projectName: "1_alpha" }).schema.edgeMissingRefs, 0);
+
+  const again = TP.combineWorkspace(split);
+  assert.ok(again.project.edges.some((e) => e.s === alpha.id && e.t === beta.id));
+});
+
+test("parseCitations reads BibTeX and CSL-JSON", () => {
+  const bib = TP.parseCitations("@article{smith2021, title={A {Study}}, author={Smith, Jane}, year=2021}");
+  assert.deepEqual(bib.errors, []);
+  assert.equal(bib.entries[0].item.title, "A Study");
+  assert.equal(bib.entries[0].item["citation-key"], "smith2021");
+
+  const csl = TP.parseCitations(JSON.stringify([{ type: "book", title: "Book", author: [{ family: "Doe" }] }]));
+  assert.equal(csl.entries.length, 1);
+  assert.match(TP.parseCitations("[{").errors[0], /^JSON/);
+});
+
+test("parseCitations reports an entry cut short", () => {
+  const r = TP.parseCitations("@misc{ok, title={Fine}, author={A}}\n@misc{broken, title={Unclosed");
+  assert.deepEqual(
+    r.entries.map((e) => e.item["citation-key"]),
+    ["ok"]
+  );
+  assert.equal(r.errors.length, 1);
+  assert.match(r.errors[0], /broken.*line 2.*unbalanced/);
+});
+
+test("diagnoseDates lowers a guess that still breaks the edge order", () => {
+  // x comes after p (November) and before s (October): no date fits both.
+  const json = project(
+    [
+      node("p", "P", { date: "2025-11-20" }),
+      node("x", "X", { date: "2020-01-01" }),
+      node("s", "S", { date: "2025-10-30" }),
+      node("q", "Q", { date: "2025-10-01" }),
+      node("r", "R", { date: "2025-12-01" }),
+    ],
+    [
+      { s: "q", t: "p" },
+      { s: "p", t: "x" },
+      { s: "x", t: "s" },
+      { s: "s", t: "r" },
+    ]
+  );
+  const x = TP.diagnoseDates(json).suggestions.find((s) => s.id === "x");
+  assert.match(x.reason, /disagree/);
+  assert.equal(x.confidence, "low");
+});
+
+test("applyTermMapping adds synonyms only for clusters the project uses", () => {
+  const p = { nodes: [{ id: "a", data: { tags: ["Arts"] } }], terms: { tags: [] } };
+  const clusters = [
+    { canonical: "Art", variants: [{ term: "Arts" }] },
+    { canonical: "History", variants: [{ term: "Hystory" }] },
+  ];
+  assert.deepEqual(TP.applyTermMapping(p, "tags", clusters), { nodes: 1, values: 1 });
+  assert.deepEqual(p.nodes[0].data.tags, ["Art"]);
+  assert.deepEqual(
+    p.terms.tags.map((t) => [t.label, t.synonyms]),
+    [["Art", ["Arts"]]]
+  );
+});
+
+test("clusterTerms prefers a declared spelling and flags doubtful winners", () => {
+  const entry = (term, count, declared = false) => ({ term, count, projects: ["1_a"], declared });
+  const [declared] = TP.clusterTerms([entry("Hystory", 20), entry("History", 1, true)], "areas");
+  assert.equal(declared.canonical, "History");
+  assert.equal(declared.review, false);
+
+  const [typo] = TP.clusterTerms([entry("Hystory", 20, true), entry("History", 1, true)], "areas");
+  assert.equal(typo.canonical, "Hystory");
+  assert.equal(typo.review, true);
+});
+
+test("validateProject counts a solid and a dashed edge as two edges", () => {
+  const p = project(
+    [node("a", "A"), node("b", "B")],
+    [
+      { s: "a", t: "b" },
+      { s: "a", t: "b", dashed: true },
+      { s: "a", t: "b" },
+    ]
+  );
+  assert.equal(TP.validateProject(p).schema.edgeDuplicates, 1);
+});
@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const TP = require("../shared-project.js");
+const TS = require("../shared-site.js");
+
+function site() {
+  const project = {
+    version: TP.PROJECT_VERSION,
+    nodes: [
+      {
+        id: "a",
+        data: {
+          title: "Brief",
+          files: [{ name: "paper.pdf", path: "assets/paper.pdf", isPDF: true }],
+          links: [
+            { title: "Script", url: "javascript:alert(1)" },
+            { title: "Source", url: "example.org/source" },
+          ],
+        },
+      },
+      { id: "b", data: { title: "Prototype" } },
+    ],
+    edges: [{ s: "a", t: "b", dashed: false }],
+  };
+  return TS.buildSite([{ name: "1_alpha", project }], { title: "Site", generatedAt: "2025-01-01T00:00:00.000Z" });
+}
+
+test("buildSite writes the home, a project index, the canvas and one page per node", () => {
+  const { files, assets } = site();
+  const paths = files.map((f) => f.path);
+  for (const p of ["index.html", "1_alpha/index.html", "1_alpha/canvas.html", "1_alpha/nodes/a.html", "1_alpha/nodes/b.html"]) {
+    assert.ok(paths.includes(p), p);
+  }
+  assert.deepEqual(assets, [{ project: "1_alpha", from: "assets/paper.pdf", to: "1_alpha/assets/paper.pdf" }]);
+});
+
+test("buildSite links only http(s) addresses", () => {
+  const page = site().files.find((f) => f.path === "1_alpha/nodes/a.html").text;
+  assert.ok(!page.includes("javascript:"));
+  assert.match(page, /<li>Script /);
+  assert.match(page, /<a href="https:\/\/example\.org\/source" rel="noopener">Source<\/a>/);
+});